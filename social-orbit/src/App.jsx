@@ -5,9 +5,9 @@
  * Main application component that orchestrates all sub-components.
  */
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { AnimatePresence } from 'framer-motion';
-import { UserPlus, Layers } from 'lucide-react';
+import { UserPlus, Layers, Users } from 'lucide-react';
 
 // Components
 import {
@@ -17,19 +17,74 @@ import {
   FriendDetail,
   AddFriendForm,
   BulkImportForm,
+  FailedItemsList,
+  GroupsManager,
+  UpcomingDates,
+  RemindersList,
   SettingsModal,
   OnboardingModal,
-  RecalculateModal
+  RecalculateModal,
+  ResumeJobModal,
+  TrashModal
 } from './components';
 
 // Services
-import { analyzeFriend, analyzeFriendsBulk, recalculateFriends, vectorStore } from './services';
+import {
+  analyzeFriend,
+  analyzeFriendsBulk,
+  recalculateFriends,
+  scoreAnswers,
+  vectorStore,
+  hasPendingItems,
+  JOB_TYPES,
+  recordPosition,
+  POSITION_SOURCES,
+  applyContactDecay,
+  UNDO_LIMIT,
+  UNDO_MERGE_WINDOW_MS,
+  serializeUndoHistory,
+  restoreUndoHistory,
+  partitionExpired,
+  restoreFromTrash,
+  getTrashItems,
+  toTombstone,
+  createConnection,
+  removeConnectionsFor,
+  createGroup,
+  toggleGroupMember,
+  removeGroupMembers,
+  getMemberIdsOfGroups,
+  getUpcomingDates,
+  buildCalendar,
+  AVATAR_INDEX_KEY,
+  getAvatarKey,
+  createAvatarImage,
+  migrateVault,
+  toFriendRecord,
+  createInteraction,
+  sortInteractions,
+  getOverdueReminders
+} from './services';
+
+// Hooks
+import { useUndoableState } from './hooks';
 
 // Utils
 import secureStorage from './utils/secureStorage';
+import { createId } from './utils/ids';
 
 // Constants
-import { ICON_MAP, DEFAULT_ICON, DEFAULT_COLOR } from './constants';
+import {
+  ICON_MAP,
+  DEFAULT_ICON,
+  DEFAULT_COLOR,
+  DEFAULT_PROVIDER_CONFIG,
+  DEFAULT_DECAY_SETTINGS,
+  DEFAULT_REMINDER_SETTINGS,
+  DEFAULT_TRASH_SETTINGS,
+  REMINDER_CHECK_INTERVAL_MS,
+  hasProviderCredentials
+} from './constants';
 
 // Default form state
 const EMPTY_FORM = {
@@ -41,39 +96,92 @@ const EMPTY_FORM = {
   y: 50,
   icon: 'User',
   summary: '',
-  reasoning: ''
+  reasoning: '',
+  customFields: {}
 };
 
 // Default bulk list item
 const createBulkItem = () => ({
-  id: Date.now(),
+  id: createId(),
   name: '',
   gender: 'Non-binary',
   age: '',
   description: ''
 });
 
+// Merge a recalculation result into an existing friend (keeps color, name, etc.)
+// Hand-placed (locked) positions are kept; everything else is refreshed.
+const applyRecalculation = (friend, updated) => recordPosition(toFriendRecord({
+  ...friend,
+  x: friend.positionLocked ? friend.x : updated.x,
+  y: friend.positionLocked ? friend.y : updated.y,
+  icon: ICON_MAP[updated.icon] ? updated.icon : friend.icon,
+  summary: updated.summary,
+  reasoning: updated.reasoning,
+  extractedData: updated.extractedData ?? friend.extractedData,
+  validationIssues: updated.validationIssues ?? friend.validationIssues
+}), POSITION_SOURCES.RECALCULATION);
+
+// Review-queue entries for items a job could not analyze
+const toFailedItems = (type, failed) => failed.map(({ input, error }) => ({
+  id: createId(),
+  type,
+  input,
+  error,
+  failedAt: Date.now()
+}));
+
 export default function SocialOrbit() {
   // ==================== VAULT STATE ====================
   const [isVaultUnlocked, setIsVaultUnlocked] = useState(false);
   const [initialDataLoaded, setInitialDataLoaded] = useState(false);
 
   // ==================== DATA STATE ====================
-  const [friends, setFriends] = useState([]);
+  const {
+    present: friends,
+    set: setFriends,
+    commit: commitFriends,
+    reset: resetFriends,
+    mapHistory: mapFriendsHistory,
+    undo: undoFriends,
+    redo: redoFriends,
+    past: friendsPast,
+    future: friendsFuture,
+    undoLabel,
+    redoLabel
+  } = useUndoableState([], { limit: UNDO_LIMIT, mergeWindowMs: UNDO_MERGE_WINDOW_MS });
   const [userPersona, setUserPersona] = useState(null);
   const [apiKey, setApiKey] = useState(''); // Memory only!
   const [useMockMode, setUseMockMode] = useState(false);
+  const [llmProvider, setLlmProvider] = useState(DEFAULT_PROVIDER_CONFIG);
 
   // ==================== UI STATE ====================
   const [showOnboarding, setShowOnboarding] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [showRecalculate, setShowRecalculate] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
   const [selectedFriend, setSelectedFriend] = useState(null);
   const [editingId, setEditingId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [recalculating, setRecalculating] = useState(false);
+  const [recalculateProgress, setRecalculateProgress] = useState(null);
+  const [recalculationReview, setRecalculationReview] = useState(null);
   const [activeTab, setActiveTab] = useState('single');
   const [manualMode, setManualMode] = useState(false);
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [resumableJob, setResumableJob] = useState(null);
+  const [failedItems, setFailedItems] = useState([]);
+  const [removedFriends, setRemovedFriends] = useState([]);
+  const [decaySettings, setDecaySettings] = useState(DEFAULT_DECAY_SETTINGS);
+  const [trashSettings, setTrashSettings] = useState(DEFAULT_TRASH_SETTINGS);
+  const [connections, setConnections] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [avatars, setAvatars] = useState({});
+  const [groupFilterIds, setGroupFilterIds] = useState(() => new Set());
+  const [reminderSettings, setReminderSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  const [reminderNow, setReminderNow] = useState(() => Date.now());
+  const [retryingId, setRetryingId] = useState(null);
 
   // ==================== FORM STATE ====================
   const [formData, setFormData] = useState(EMPTY_FORM);
@@ -85,35 +193,92 @@ export default function SocialOrbit() {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const containerRef = useRef(null);
 
+  // ==================== JOB CANCELLATION ====================
+  const bulkAbortRef = useRef(null);
+  const recalculateAbortRef = useRef(null);
+
+  // Contact decay runs once per unlock
+  const decayAppliedRef = useRef(false);
+
   // ==================== VAULT HANDLERS ====================
   const handleVaultUnlock = useCallback(() => {
     setIsVaultUnlocked(true);
   }, []);
 
-  const handleDataLoaded = useCallback((data) => {
+  const handleDataLoaded = useCallback((loaded) => {
+    // Bring stored records up to the current schema. Friends, failed items
+    // and removed friends are saved back by their effects; the pending job
+    // and set-aside records are saved here.
+    const { data, idsChanged, rejected } = migrateVault(loaded);
+    if (idsChanged && data.pendingJob) {
+      secureStorage.setItem('pendingJob', data.pendingJob).catch(console.error);
+    }
+    if (rejected.length > 0) {
+      const rejectedAt = Date.now();
+      secureStorage.setItem('rejectedFriends', [
+        ...(data.rejectedFriends || []),
+        ...rejected.map((entry) => ({ ...entry, rejectedAt }))
+      ]).catch(console.error);
+      alert(
+        `${rejected.length} friend record(s) could not be repaired and were set aside:\n` +
+        rejected.map(({ record, reason }) => `- ${record?.name || 'Unnamed'}: ${reason}`).join('\n')
+      );
+    }
+
     const loadedFriends = data.friends || [];
-    setFriends(loadedFriends);
+    // Undo steps from earlier in this browser session survive a reload
+    resetFriends(loadedFriends, restoreUndoHistory(data.undoHistory, loadedFriends) ?? {});
     setUserPersona(data.persona || null);
     setFormData(data.formData || EMPTY_FORM);
     setUseMockMode(data.mockMode ?? false);
     setApiKey(data.apiKey || '');
+    setLlmProvider(data.llmProvider || DEFAULT_PROVIDER_CONFIG);
+    setResumableJob(hasPendingItems(data.pendingJob) ? data.pendingJob : null);
+    setFailedItems(data.failedItems || []);
+    setRemovedFriends(data.removedFriends || []);
+    setDecaySettings({ ...DEFAULT_DECAY_SETTINGS, ...data.decaySettings });
+    setReminderSettings({ ...DEFAULT_REMINDER_SETTINGS, ...data.reminderSettings });
+    setTrashSettings({ ...DEFAULT_TRASH_SETTINGS, ...data.trashSettings });
+    setConnections(data.connections || []);
+    setGroups(data.groups || []);
+    setCustomFields(data.customFields || []);
+    setAvatars(data.avatars || {});
+    setReminderNow(Date.now());
     setInitialDataLoaded(true);
     
     // Initialize vector store with existing friends (for semantic similarity)
     vectorStore.initialize(loadedFriends).then(() => {
       console.log('Vector store initialized with existing friends');
     }).catch(console.error);
-  }, []);
+  }, [resetFriends]);
 
   const handleLockVault = useCallback(() => {
+    // Stop any running jobs so they don't write into a locked vault
+    bulkAbortRef.current?.abort();
+    recalculateAbortRef.current?.abort();
     secureStorage.lock();
     setIsVaultUnlocked(false);
     setInitialDataLoaded(false);
-    setFriends([]);
+    resetFriends([]);
     setUserPersona(null);
     setApiKey('');
     setUseMockMode(false);
-  }, []);
+    setLlmProvider(DEFAULT_PROVIDER_CONFIG);
+    setResumableJob(null);
+    setFailedItems([]);
+    setRecalculationReview(null);
+    setRemovedFriends([]);
+    setDecaySettings(DEFAULT_DECAY_SETTINGS);
+    setReminderSettings(DEFAULT_REMINDER_SETTINGS);
+    setTrashSettings(DEFAULT_TRASH_SETTINGS);
+    setConnections([]);
+    setGroups([]);
+    setGroupFilterIds(new Set());
+    setCustomFields([]);
+    setAvatars({});
+    setShowTrash(false);
+    decayAppliedRef.current = false;
+  }, [resetFriends]);
 
   // ==================== EFFECTS ====================
   
@@ -142,6 +307,95 @@ export default function SocialOrbit() {
     secureStorage.setItem('mockMode', useMockMode).catch(console.error);
   }, [useMockMode, isVaultUnlocked, initialDataLoaded]);
 
+  // Save LLM provider selection to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('llmProvider', llmProvider).catch(console.error);
+  }, [llmProvider, isVaultUnlocked, initialDataLoaded]);
+
+  // Save the failed-analysis review queue to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('failedItems', failedItems).catch(console.error);
+  }, [failedItems, isVaultUnlocked, initialDataLoaded]);
+
+  // Drift friends outward for lapsed contact, once after unlock
+  useEffect(() => {
+    if (!initialDataLoaded || decayAppliedRef.current) return;
+    decayAppliedRef.current = true;
+
+    const { friends: decayed, changes } = applyContactDecay(friends, decaySettings);
+    if (changes.length > 0) {
+      console.log(`Contact decay moved ${changes.length} friend(s)`, changes);
+      setFriends(decayed);
+    }
+  }, [initialDataLoaded, friends, decaySettings, setFriends]);
+
+  // Save contact decay settings to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('decaySettings', decaySettings).catch(console.error);
+  }, [decaySettings, isVaultUnlocked, initialDataLoaded]);
+
+  // Save reminder settings to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('reminderSettings', reminderSettings).catch(console.error);
+  }, [reminderSettings, isVaultUnlocked, initialDataLoaded]);
+
+  // Re-check reminders periodically while the vault is open
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    const timer = setInterval(() => setReminderNow(Date.now()), REMINDER_CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isVaultUnlocked, initialDataLoaded]);
+
+  // Save the undo stack (debounced - drags commit on every mouse move)
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    const timer = setTimeout(() => {
+      secureStorage.setItem('undoHistory', serializeUndoHistory({ past: friendsPast, future: friendsFuture }))
+        .catch(console.error);
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [friendsPast, friendsFuture, isVaultUnlocked, initialDataLoaded]);
+
+  // Save friend-to-friend connections to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('connections', connections).catch(console.error);
+  }, [connections, isVaultUnlocked, initialDataLoaded]);
+
+  // Save groups to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('groups', groups).catch(console.error);
+  }, [groups, isVaultUnlocked, initialDataLoaded]);
+
+  // Save custom field definitions to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('customFields', customFields).catch(console.error);
+  }, [customFields, isVaultUnlocked, initialDataLoaded]);
+
+  // Save the list of friends with a photo (photos are saved one key each)
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem(AVATAR_INDEX_KEY, Object.keys(avatars)).catch(console.error);
+  }, [avatars, isVaultUnlocked, initialDataLoaded]);
+
+  // Save trash retention to encrypted storage
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('trashSettings', trashSettings).catch(console.error);
+  }, [trashSettings, isVaultUnlocked, initialDataLoaded]);
+
+  // Save the trash (deleted friends, also used by the timeline replay)
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+    secureStorage.setItem('removedFriends', removedFriends).catch(console.error);
+  }, [removedFriends, isVaultUnlocked, initialDataLoaded]);
+
   // Resizing logic
   useEffect(() => {
     const handleGlobalMouseMove = (e) => {
@@ -198,7 +452,8 @@ export default function SocialOrbit() {
       name: friend.name,
       gender: friend.gender,
       age: friend.age,
-      description: friend.description
+      description: friend.description,
+      customFields: friend.customFields
     });
     setEditingId(friend.id);
     setSelectedFriend(null);
@@ -209,24 +464,94 @@ export default function SocialOrbit() {
     setFormData(EMPTY_FORM);
   }, []);
 
+  // Deleting moves the friend to the trash; see purgeFromTrash for permanent removal
   const deleteFriend = useCallback((id) => {
-    setFriends((prev) => prev.filter((f) => f.id !== id));
+    const friend = friends.find((f) => f.id === id);
+    if (friend) {
+      setRemovedFriends((prev) => [...prev, { ...friend, removedAt: Date.now() }]);
+    }
+    commitFriends((prev) => prev.filter((f) => f.id !== id), { label: `Delete ${friend?.name ?? 'friend'}` });
+    vectorStore.remove(id);
+    setFailedItems((prev) => prev.filter((item) => item.type !== JOB_TYPES.RECALCULATE || item.input.id !== id));
     setSelectedFriend(null);
-  }, []);
+  }, [friends, commitFriends]);
 
   const updateFriendIcon = useCallback((newIcon) => {
     if (!selectedFriend) return;
     const updated = { ...selectedFriend, icon: newIcon };
-    setFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)));
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Change icon of ${selectedFriend.name}`
+    });
     setSelectedFriend(updated);
-  }, [selectedFriend]);
+  }, [selectedFriend, commitFriends]);
 
   const updateFriendColor = useCallback((newColor) => {
     if (!selectedFriend) return;
     const updated = { ...selectedFriend, color: newColor };
-    setFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)));
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Change color of ${selectedFriend.name}`
+    });
     setSelectedFriend(updated);
-  }, [selectedFriend]);
+  }, [selectedFriend, commitFriends]);
+
+  const updateFriendInteractions = useCallback((interactions) => {
+    if (!selectedFriend) return;
+    const updated = { ...selectedFriend, interactions };
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Edit journal of ${selectedFriend.name}`
+    });
+    setSelectedFriend(updated);
+  }, [selectedFriend, commitFriends]);
+
+  const updateReminderCadence = useCallback((reminderCadenceDays) => {
+    if (!selectedFriend) return;
+    const updated = { ...selectedFriend, reminderCadenceDays };
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Change reminder for ${selectedFriend.name}`
+    });
+    setSelectedFriend(updated);
+  }, [selectedFriend, commitFriends]);
+
+  const updateTags = useCallback((tags) => {
+    if (!selectedFriend) return;
+    const updated = { ...selectedFriend, tags };
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Edit tags for ${selectedFriend.name}`
+    });
+    setSelectedFriend(updated);
+  }, [selectedFriend, commitFriends]);
+
+  // Typing into one friend's fields undoes as a single step
+  const updateCustomFieldValues = useCallback((values) => {
+    if (!selectedFriend) return;
+    const updated = { ...selectedFriend, customFields: values };
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Edit details of ${selectedFriend.name}`,
+      mergeKey: `fields:${selectedFriend.id}`
+    });
+    setSelectedFriend(updated);
+  }, [selectedFriend, commitFriends]);
+
+  // Correcting an answer re-scores locally - no extraction call needed
+  const updateFriendAnswers = useCallback((extractedData) => {
+    if (!selectedFriend) return;
+    // Answers the user touched are no longer the AI's problem
+    const validationIssues = (selectedFriend.validationIssues || []).filter(
+      (issue) => extractedData[issue.key] === selectedFriend.extractedData?.[issue.key]
+    );
+    // Re-scoring replaces the position, so it is no longer a manual override
+    const updated = recordPosition({
+      ...selectedFriend,
+      extractedData,
+      validationIssues,
+      ...scoreAnswers(extractedData),
+      positionLocked: false
+    }, POSITION_SOURCES.ANSWERS_EDITED);
+    commitFriends((prev) => prev.map((f) => (f.id === selectedFriend.id ? updated : f)), {
+      label: `Correct answers for ${selectedFriend.name}`
+    });
+    setSelectedFriend(updated);
+  }, [selectedFriend, commitFriends]);
 
   // ==================== ANALYSIS HANDLERS ====================
   
@@ -234,11 +559,19 @@ export default function SocialOrbit() {
     if (!formData.name || !formData.description) return;
     setLoading(true);
 
+    // Edits keep their ID; new friends get theirs before analysis so the
+    // stored embedding is keyed correctly
+    const id = editingId ?? createId();
+
     try {
       const analysis = await analyzeFriend({
         apiKey,
+        provider: llmProvider,
         userPersona,
-        friendData: formData,
+        // Edits keep the journal so logged contact informs the re-analysis
+        friendData: editingId
+          ? { ...formData, id, interactions: friends.find((f) => f.id === editingId)?.interactions }
+          : { ...formData, id },
         useMockMode,
         existingFriends: friends // Pass existing friends for context
       });
@@ -252,20 +585,24 @@ export default function SocialOrbit() {
         // Update existing friend
         const oldFriend = friends.find((f) => f.id === editingId);
         const colorToUse = oldFriend?.color || DEFAULT_COLOR;
-        setFriends((prev) =>
+        commitFriends((prev) =>
           prev.map((f) =>
             f.id === editingId
-              ? { ...f, ...formData, ...analysis, color: colorToUse, id: Date.now() }
+              ? recordPosition(
+                toFriendRecord({ ...f, ...formData, ...analysis, color: colorToUse, positionLocked: false }),
+                POSITION_SOURCES.AI
+              )
               : f
-          )
+          ),
+        { label: `Edit ${formData.name}` }
         );
         setEditingId(null);
       } else {
         // Add new friend
-        setFriends((prev) => [
+        commitFriends((prev) => [
           ...prev,
-          { id: Date.now(), ...formData, ...analysis, color: DEFAULT_COLOR }
-        ]);
+          recordPosition(toFriendRecord({ id, ...formData, ...analysis, color: DEFAULT_COLOR }), POSITION_SOURCES.AI)
+        ], { label: `Add ${formData.name}` });
       }
 
       setFormData(EMPTY_FORM);
@@ -275,13 +612,13 @@ export default function SocialOrbit() {
     } finally {
       setLoading(false);
     }
-  }, [formData, apiKey, userPersona, useMockMode, editingId, friends]);
+  }, [formData, apiKey, llmProvider, userPersona, useMockMode, editingId, friends, commitFriends]);
 
   const addManualFriend = useCallback(() => {
     if (!formData.name) return;
     
     const newFriend = {
-      id: Date.now(),
+      id: createId(),
       name: formData.name,
       gender: formData.gender,
       age: formData.age,
@@ -291,97 +628,491 @@ export default function SocialOrbit() {
       icon: ICON_MAP[formData.icon] ? formData.icon : DEFAULT_ICON,
       summary: formData.summary || 'Manual entry',
       reasoning: formData.reasoning || 'Added without AI',
-      color: DEFAULT_COLOR
+      color: DEFAULT_COLOR,
+      customFields: formData.customFields,
+      positionLocked: true // Placed by hand
     };
     
-    setFriends((prev) => [...prev, newFriend]);
+    commitFriends((prev) => [...prev, recordPosition(toFriendRecord(newFriend), POSITION_SOURCES.MANUAL)], {
+      label: `Add ${newFriend.name}`
+    });
     setFormData(EMPTY_FORM);
-  }, [formData]);
+  }, [formData, commitFriends]);
 
-  const analyzeBulkFriends = useCallback(async () => {
-    const validItems = bulkList.filter(
-      (item) => item.name?.trim() && item.description?.trim()
-    );
-    if (validItems.length === 0) return;
+  // Save job progress after every item so it survives a closed tab or locked vault
+  const persistJob = useCallback((job) => {
+    secureStorage.setItem('pendingJob', job).catch(console.error);
+  }, []);
+
+  const clearJob = useCallback(() => {
+    setResumableJob(null);
+    secureStorage.removeItem('pendingJob').catch(console.error);
+  }, []);
 
+  const runBulkJob = useCallback(async ({ friendsList = [], job = null }) => {
     setLoading(true);
+    setBulkProgress({ processed: 0, total: job?.items.length ?? friendsList.length, current: '' });
+    const controller = new AbortController();
+    bulkAbortRef.current = controller;
 
     try {
-      const results = await analyzeFriendsBulk({
+      const { results, failed, skipped } = await analyzeFriendsBulk({
         apiKey,
+        provider: llmProvider,
         userPersona,
-        friendsList: validItems,
+        friendsList,
         useMockMode,
-        existingFriends: friends // Pass existing friends for context
+        existingFriends: friends, // Pass existing friends for context
+        job,
+        onJobUpdate: persistJob,
+        onProgress: setBulkProgress,
+        signal: controller.signal
       });
 
-      const processedFriends = results.map((f) => ({
-        id: Date.now() + Math.random(),
+      // Vault was locked mid-run: the job stays saved for the next unlock
+      if (!secureStorage.isUnlocked) return;
+      clearJob();
+
+      // Results carry their bulk item's ID
+      const processedFriends = results.map((f) => recordPosition(toFriendRecord({
         ...f,
-        color: DEFAULT_COLOR,
-        icon: ICON_MAP[f.icon] ? f.icon : DEFAULT_ICON
-      }));
+        color: DEFAULT_COLOR
+      }), POSITION_SOURCES.AI));
+
+      commitFriends((prev) => [...prev, ...processedFriends], {
+        label: `Bulk import (${processedFriends.length})`
+      });
+      setFailedItems((prev) => [...prev, ...toFailedItems(JOB_TYPES.BULK, failed)]);
 
-      setFriends((prev) => [...prev, ...processedFriends]);
-      setBulkList([createBulkItem()]);
+      // Keep skipped items in the form so they can be processed later
+      if (skipped.length > 0) {
+        setBulkList(skipped);
+        alert(`Cancelled: added ${results.length} friend(s), ${failed.length} failed, ${skipped.length} skipped.`);
+      } else {
+        setBulkList([createBulkItem()]);
+        if (failed.length > 0) {
+          alert(`Added ${results.length} friend(s). ${failed.length} failed and need attention.`);
+        }
+      }
     } catch (error) {
       console.error(error);
       alert(`Bulk Analysis failed: ${error.message}`);
     } finally {
+      bulkAbortRef.current = null;
       setLoading(false);
+      setBulkProgress(null);
     }
-  }, [bulkList, apiKey, userPersona, useMockMode, friends]);
+  }, [apiKey, llmProvider, userPersona, useMockMode, friends, persistJob, clearJob, commitFriends]);
 
-  // ==================== RECALCULATE HANDLER ====================
-  
-  const [recalculateProgress, setRecalculateProgress] = useState(null);
-  
-  const handleRecalculate = useCallback(async (selectedFriends) => {
-    if (selectedFriends.length === 0) return;
+  const analyzeBulkFriends = useCallback(() => {
+    const validItems = bulkList.filter(
+      (item) => item.name?.trim() && item.description?.trim()
+    );
+    if (validItems.length === 0) return;
+    runBulkJob({ friendsList: validItems });
+  }, [bulkList, runBulkJob]);
 
+  const runRecalculateJob = useCallback(async ({ friendsToRecalculate = [], job = null }) => {
     setRecalculating(true);
-    setRecalculateProgress({ processed: 0, total: selectedFriends.length, current: '' });
+    setRecalculateProgress({ processed: 0, total: job?.items.length ?? friendsToRecalculate.length, current: '' });
+    const controller = new AbortController();
+    recalculateAbortRef.current = controller;
 
     try {
-      const results = await recalculateFriends({
+      const { results, failed, skipped } = await recalculateFriends({
         apiKey,
+        provider: llmProvider,
         userPersona,
-        friendsToRecalculate: selectedFriends,
+        friendsToRecalculate,
         useMockMode,
         allFriends: friends,
+        job,
+        onJobUpdate: persistJob,
         onProgress: (progress) => {
           setRecalculateProgress(progress);
-        }
+        },
+        signal: controller.signal
       });
 
-      // Update friends with new positions (preserve color and other data)
-      setFriends((prev) =>
-        prev.map((friend) => {
-          const updated = results.find((r) => r.id === friend.id);
-          if (updated) {
-            return {
-              ...friend,
-              x: updated.x,
-              y: updated.y,
-              icon: ICON_MAP[updated.icon] ? updated.icon : friend.icon,
-              summary: updated.summary,
-              reasoning: updated.reasoning
-            };
-          }
-          return friend;
-        })
-      );
+      // Vault was locked mid-run: the job stays saved for the next unlock
+      if (!secureStorage.isUnlocked) return;
+      clearJob();
 
-      setShowRecalculate(false);
-      alert(`Successfully recalculated ${results.length} friend(s)!`);
+      // Nothing is applied until the user reviews the changes
+      if (results.length > 0) {
+        setRecalculationReview(results);
+      } else {
+        setShowRecalculate(false);
+      }
+      // Failed friends keep their old position until reviewed
+      setFailedItems((prev) => [...prev, ...toFailedItems(JOB_TYPES.RECALCULATE, failed)]);
+
+      const failedNote = failed.length > 0 ? ` ${failed.length} failed and need attention.` : '';
+      if (skipped.length > 0) {
+        alert(`Cancelled: recalculated ${results.length} friend(s), ${skipped.length} skipped.${failedNote}`);
+      } else if (failedNote) {
+        alert(`Recalculated ${results.length} friend(s).${failedNote}`);
+      }
     } catch (error) {
       console.error(error);
       alert(`Recalculation failed: ${error.message}`);
     } finally {
+      recalculateAbortRef.current = null;
       setRecalculating(false);
       setRecalculateProgress(null);
     }
-  }, [apiKey, userPersona, useMockMode, friends]);
+  }, [apiKey, llmProvider, userPersona, useMockMode, friends, persistJob, clearJob]);
+
+  const handleRecalculate = useCallback((selectedFriends) => {
+    if (selectedFriends.length === 0) return;
+    runRecalculateJob({ friendsToRecalculate: selectedFriends });
+  }, [runRecalculateJob]);
+
+  // Apply approved recalculation results (preserve color and other data)
+  const applyRecalculationReview = useCallback((acceptedIds) => {
+    const accepted = new Set(acceptedIds);
+    const updates = (recalculationReview || []).filter((r) => accepted.has(r.id));
+
+    commitFriends((prev) =>
+      prev.map((friend) => {
+        const updated = updates.find((r) => r.id === friend.id);
+        return updated ? applyRecalculation(friend, updated) : friend;
+      }),
+    { label: `Recalculate (${updates.length})` }
+    );
+    setRecalculationReview(null);
+    setShowRecalculate(false);
+  }, [recalculationReview, commitFriends]);
+
+  // Let recalculation move a hand-placed friend again
+  const unlockFriendPosition = useCallback((id) => {
+    commitFriends((prev) => prev.map((f) => (f.id === id ? { ...f, positionLocked: false } : f)), {
+      label: 'Unlock position'
+    });
+    setSelectedFriend((prev) => (prev?.id === id ? { ...prev, positionLocked: false } : prev));
+  }, [commitFriends]);
+
+  const discardRecalculationReview = useCallback(() => {
+    setRecalculationReview(null);
+    setShowRecalculate(false);
+  }, []);
+
+  // Ghost nodes on the graph for changes awaiting review
+  const reviewGhosts = useMemo(() => {
+    if (!recalculationReview) return [];
+    return recalculationReview
+      .map((result) => {
+        const friend = friends.find((f) => f.id === result.id);
+        if (!friend || friend.positionLocked) return null;
+        return {
+          id: friend.id,
+          name: friend.name,
+          icon: ICON_MAP[result.icon] ? result.icon : friend.icon,
+          color: friend.color,
+          from: { x: friend.x, y: friend.y },
+          to: { x: result.x, y: result.y }
+        };
+      })
+      .filter(Boolean);
+  }, [recalculationReview, friends]);
+
+  // ==================== REMINDER HANDLERS ====================
+
+  const overdueReminders = useMemo(
+    () => getOverdueReminders(friends, reminderSettings, reminderNow),
+    [friends, reminderSettings, reminderNow]
+  );
+
+  const overdueIds = useMemo(
+    () => new Set(overdueReminders.map((reminder) => reminder.friendId)),
+    [overdueReminders]
+  );
+
+  // Apply a change to one friend, keeping the detail view in sync
+  const updateFriendById = useCallback((id, change, label) => {
+    commitFriends((prev) => prev.map((f) => (f.id === id ? change(f) : f)), { label });
+    setSelectedFriend((prev) => (prev?.id === id ? change(prev) : prev));
+  }, [commitFriends]);
+
+  // Logs a journal entry for today, which also resets contact decay
+  const markContacted = useCallback((id) => {
+    updateFriendById(id, (friend) => ({
+      ...friend,
+      reminderSnoozedUntil: null,
+      interactions: sortInteractions([
+        ...(friend.interactions || []),
+        createInteraction({ channel: 'other', mood: 'neutral', note: 'Marked as contacted' })
+      ])
+    }), 'Mark contacted');
+  }, [updateFriendById]);
+
+  const snoozeReminder = useCallback((id, days) => {
+    const until = Date.now() + days * 24 * 60 * 60 * 1000;
+    updateFriendById(id, (friend) => ({ ...friend, reminderSnoozedUntil: until }), 'Snooze reminder');
+  }, [updateFriendById]);
+
+  const selectFriendById = useCallback((id) => {
+    const friend = friends.find((f) => f.id === id);
+    if (friend) setSelectedFriend(friend);
+  }, [friends]);
+
+  // ==================== IMPORTANT DATES ====================
+
+  const upcomingDates = useMemo(
+    () => getUpcomingDates(friends, customFields, reminderNow),
+    [friends, customFields, reminderNow]
+  );
+
+  const exportCalendar = useCallback(() => {
+    const blob = new Blob([buildCalendar(friends, customFields)], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `social-orbit-dates-${new Date().toISOString().split('T')[0]}.ics`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [friends, customFields]);
+
+  // ==================== AVATAR HANDLERS ====================
+
+  const setFriendAvatar = useCallback(async (id, file) => {
+    try {
+      const avatar = await createAvatarImage(file);
+      await secureStorage.setItem(getAvatarKey(id), avatar);
+      setAvatars((prev) => ({ ...prev, [id]: avatar }));
+    } catch (error) {
+      console.error(error);
+      alert(`Could not set photo: ${error.message}`);
+    }
+  }, []);
+
+  const removeFriendAvatar = useCallback((id) => {
+    setAvatars((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    secureStorage.removeItem(getAvatarKey(id)).catch(console.error);
+  }, []);
+
+  // ==================== CONNECTION HANDLERS ====================
+
+  const addConnection = useCallback((fields) => {
+    setConnections((prev) => [...prev, createConnection(fields)]);
+  }, []);
+
+  const removeConnection = useCallback((id) => {
+    setConnections((prev) => prev.filter((c) => c.id !== id));
+  }, []);
+
+  // ==================== GROUP HANDLERS ====================
+
+  const addGroup = useCallback((fields) => {
+    setGroups((prev) => [...prev, createGroup(fields)]);
+  }, []);
+
+  const updateGroup = useCallback((group) => {
+    setGroups((prev) => prev.map((g) => (g.id === group.id ? group : g)));
+  }, []);
+
+  const deleteGroup = useCallback((id) => {
+    setGroups((prev) => prev.filter((g) => g.id !== id));
+    setGroupFilterIds((prev) => {
+      const next = new Set(prev);
+      next.delete(id);
+      return next;
+    });
+  }, []);
+
+  const toggleMember = useCallback((groupId, friendId) => {
+    setGroups((prev) => prev.map((g) => (g.id === groupId ? toggleGroupMember(g, friendId) : g)));
+  }, []);
+
+  const toggleGroupFilter = useCallback((id) => {
+    setGroupFilterIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  // Friends outside the filtered groups are dimmed on the graph (null = no filter)
+  const filteredIds = useMemo(
+    () => (groupFilterIds.size ? getMemberIdsOfGroups(groups, groupFilterIds) : null),
+    [groups, groupFilterIds]
+  );
+
+  // ==================== TRASH HANDLERS ====================
+
+  // Purged friends' tombstones stay in removedFriends for the timeline only
+  const trashItems = useMemo(() => getTrashItems(removedFriends), [removedFriends]);
+
+  const restoreFriend = useCallback((id) => {
+    const item = trashItems.find((f) => f.id === id);
+    if (!item) return;
+    const friend = restoreFromTrash(item);
+    setRemovedFriends((prev) => prev.filter((f) => f.id !== id));
+    commitFriends((prev) => [...prev, friend], { label: `Restore ${friend.name}` });
+    vectorStore.initialize([...friends, friend]).catch(console.error);
+  }, [trashItems, friends, commitFriends]);
+
+  // Permanent: also dropped from undo snapshots so undo can't bring them back
+  const purgeFromTrash = useCallback((ids) => {
+    const purged = new Set(ids);
+    setRemovedFriends((prev) => prev.map((f) => (purged.has(f.id) ? toTombstone(f) : f)));
+    setConnections((prev) => removeConnectionsFor(prev, ids));
+    setGroups((prev) => removeGroupMembers(prev, ids));
+    ids.forEach((id) => removeFriendAvatar(id));
+    mapFriendsHistory((list) => list.filter((f) => !purged.has(f.id)));
+  }, [mapFriendsHistory, removeFriendAvatar]);
+
+  const emptyTrash = useCallback(() => {
+    purgeFromTrash(trashItems.map((f) => f.id));
+  }, [trashItems, purgeFromTrash]);
+
+  // Auto-purge friends past the retention period
+  useEffect(() => {
+    if (!initialDataLoaded) return;
+    const { expired } = partitionExpired(removedFriends, trashSettings);
+    if (expired.length > 0) {
+      console.log(`Purging ${expired.length} friend(s) past trash retention`);
+      purgeFromTrash(expired.map((f) => f.id));
+    }
+  }, [initialDataLoaded, removedFriends, trashSettings, purgeFromTrash]);
+
+  // ==================== UNDO / REDO ====================
+
+  // Keep side state in step with the friends list being swapped:
+  // friends that disappear are archived, restored ones leave the archive
+  const syncHistoryStep = useCallback((from, to) => {
+    const toIds = new Set(to.map((f) => f.id));
+    const removedAt = Date.now();
+    const vanished = from.filter((f) => !toIds.has(f.id)).map((f) => ({ ...f, removedAt }));
+    setRemovedFriends((prev) => [...prev.filter((f) => !toIds.has(f.id)), ...vanished]);
+    setSelectedFriend((prev) => (prev ? to.find((f) => f.id === prev.id) ?? null : prev));
+    vectorStore.initialize(to).catch(console.error);
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    const step = friendsPast[friendsPast.length - 1];
+    if (!step) return;
+    syncHistoryStep(friends, step.value);
+    undoFriends();
+  }, [friends, friendsPast, undoFriends, syncHistoryStep]);
+
+  const handleRedo = useCallback(() => {
+    const step = friendsFuture[0];
+    if (!step) return;
+    syncHistoryStep(friends, step.value);
+    redoFriends();
+  }, [friends, friendsFuture, redoFriends, syncHistoryStep]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    if (!isVaultUnlocked || !initialDataLoaded) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      e.preventDefault();
+      if (e.shiftKey) handleRedo();
+      else handleUndo();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isVaultUnlocked, initialDataLoaded, handleUndo, handleRedo]);
+
+  // ==================== REVIEW QUEUE HANDLERS ====================
+
+  const discardFailedItem = useCallback((item) => {
+    setFailedItems((prev) => prev.filter((f) => f.id !== item.id));
+  }, []);
+
+  const retryFailedItem = useCallback(async (item) => {
+    setRetryingId(item.id);
+
+    try {
+      const analysis = await analyzeFriend({
+        apiKey,
+        provider: llmProvider,
+        userPersona,
+        friendData: item.input,
+        useMockMode,
+        existingFriends: friends
+      });
+
+      if (item.type === JOB_TYPES.RECALCULATE) {
+        commitFriends((prev) =>
+          prev.map((f) => (f.id === item.input.id ? applyRecalculation(f, analysis) : f)),
+        { label: `Recalculate ${item.input.name}` }
+        );
+      } else {
+        const { name, gender, age, description } = item.input;
+        commitFriends((prev) => [
+          ...prev,
+          recordPosition(toFriendRecord({
+            id: item.input.id ?? createId(),
+            name,
+            gender,
+            age,
+            description,
+            ...analysis,
+            icon: ICON_MAP[analysis.icon] ? analysis.icon : DEFAULT_ICON,
+            color: DEFAULT_COLOR
+          }), POSITION_SOURCES.AI)
+        ], { label: `Add ${name}` });
+      }
+      discardFailedItem(item);
+    } catch (error) {
+      console.error(error);
+      setFailedItems((prev) =>
+        prev.map((f) => (f.id === item.id ? { ...f, error: error.message, failedAt: Date.now() } : f))
+      );
+    } finally {
+      setRetryingId(null);
+    }
+  }, [apiKey, llmProvider, userPersona, useMockMode, friends, discardFailedItem, commitFriends]);
+
+  // New friends go to the manual-mode form; existing ones are selected for dragging
+  const placeFailedItem = useCallback((item) => {
+    if (item.type === JOB_TYPES.RECALCULATE) {
+      const friend = friends.find((f) => f.id === item.input.id);
+      if (friend) setSelectedFriend(friend);
+    } else {
+      const { name, gender, age, description } = item.input;
+      setFormData({ ...EMPTY_FORM, name, gender, age, description });
+      setEditingId(null);
+      setManualMode(true);
+      setActiveTab('single');
+    }
+    discardFailedItem(item);
+  }, [friends, discardFailedItem]);
+
+  // Continue an unfinished job found in the vault after unlock
+  const resumeJob = useCallback(() => {
+    const job = resumableJob;
+    if (!job) return;
+    setResumableJob(null);
+
+    if (job.type === JOB_TYPES.RECALCULATE) {
+      setShowRecalculate(true);
+      runRecalculateJob({ job });
+    } else {
+      setActiveTab('bulk');
+      runBulkJob({ job });
+    }
+  }, [resumableJob, runBulkJob, runRecalculateJob]);
+
+  const cancelBulk = useCallback(() => {
+    bulkAbortRef.current?.abort();
+  }, []);
+
+  const cancelRecalculate = useCallback(() => {
+    recalculateAbortRef.current?.abort();
+  }, []);
 
   // ==================== RENDER ====================
 
@@ -413,9 +1144,21 @@ export default function SocialOrbit() {
         friends={friends}
         selectedFriend={selectedFriend}
         onSelectFriend={setSelectedFriend}
-        onUpdateFriends={setFriends}
+        onUpdateFriends={commitFriends}
         onEditPersona={() => setShowOnboarding(true)}
         width={isCollapsed ? 100 : splitRatio}
+        ghosts={reviewGhosts}
+        removedFriends={removedFriends}
+        overdueIds={overdueIds}
+        connections={connections}
+        groups={groups}
+        groupFilterIds={groupFilterIds}
+        filteredIds={filteredIds}
+        avatars={avatars}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        undoLabel={undoLabel}
+        redoLabel={redoLabel}
       />
 
       {/* ==================== RESIZER ==================== */}
@@ -443,12 +1186,14 @@ export default function SocialOrbit() {
         >
           {/* Panel Header */}
           <PanelHeader
-            showApiKeyWarning={!apiKey && !useMockMode}
+            showApiKeyWarning={!hasProviderCredentials(apiKey, llmProvider) && !useMockMode}
             onEditPersona={() => setShowOnboarding(true)}
             onOpenSettings={() => setShowSettings(true)}
             onLockVault={handleLockVault}
             onRecalculate={() => setShowRecalculate(true)}
             friendsCount={friends.length}
+            onOpenTrash={() => setShowTrash(true)}
+            trashCount={trashItems.length}
           />
 
           {/* Panel Content */}
@@ -462,10 +1207,44 @@ export default function SocialOrbit() {
                 onDelete={() => deleteFriend(selectedFriend.id)}
                 onUpdateIcon={updateFriendIcon}
                 onUpdateColor={updateFriendColor}
+                onUpdateAnswers={updateFriendAnswers}
+                onUpdateInteractions={updateFriendInteractions}
+                onUpdateReminderCadence={updateReminderCadence}
+                onUpdateTags={updateTags}
+                customFields={customFields}
+                onUpdateCustomFields={updateCustomFieldValues}
+                avatar={avatars[selectedFriend.id]}
+                onUploadAvatar={(file) => setFriendAvatar(selectedFriend.id, file)}
+                onRemoveAvatar={() => removeFriendAvatar(selectedFriend.id)}
+                friends={friends}
+                connections={connections}
+                onAddConnection={addConnection}
+                onRemoveConnection={removeConnection}
               />
             ) : (
               // Add Friend Forms
               <div className="space-y-6">
+                <RemindersList
+                  reminders={overdueReminders}
+                  onSelect={selectFriendById}
+                  onMarkContacted={markContacted}
+                  onSnooze={snoozeReminder}
+                />
+
+                <UpcomingDates
+                  dates={upcomingDates}
+                  onSelect={selectFriendById}
+                  onExport={exportCalendar}
+                />
+
+                <FailedItemsList
+                  items={failedItems}
+                  retryingId={retryingId}
+                  onRetry={retryFailedItem}
+                  onPlace={placeFailedItem}
+                  onDiscard={discardFailedItem}
+                />
+
                 {/* Tabs */}
                 <div className="flex border-b border-slate-700 mb-4">
                   <button
@@ -488,10 +1267,20 @@ export default function SocialOrbit() {
                   >
                     <Layers size={16} /> Bulk Import
                   </button>
+                  <button
+                    onClick={() => setActiveTab('groups')}
+                    className={`flex-1 py-3 text-sm font-medium flex items-center justify-center gap-2 transition-colors border-b-2 ${
+                      activeTab === 'groups'
+                        ? 'text-purple-400 border-purple-500 bg-slate-800/30'
+                        : 'text-slate-400 border-transparent hover:text-white hover:bg-slate-800/20'
+                    }`}
+                  >
+                    <Users size={16} /> Groups
+                  </button>
                 </div>
 
                 {/* Tab Content */}
-                {activeTab === 'single' ? (
+                {activeTab === 'single' && (
                   <AddFriendForm
                     formData={formData}
                     onFormChange={setFormData}
@@ -502,13 +1291,29 @@ export default function SocialOrbit() {
                     loading={loading}
                     onAnalyze={analyzeAndAddFriend}
                     onManualAdd={addManualFriend}
+                    customFields={customFields}
                   />
-                ) : (
+                )}
+                {activeTab === 'bulk' && (
                   <BulkImportForm
                     bulkList={bulkList}
                     onUpdateList={setBulkList}
                     loading={loading}
+                    progress={bulkProgress}
                     onAnalyze={analyzeBulkFriends}
+                    onCancel={cancelBulk}
+                  />
+                )}
+                {activeTab === 'groups' && (
+                  <GroupsManager
+                    groups={groups}
+                    friends={friends}
+                    filterIds={groupFilterIds}
+                    onCreate={addGroup}
+                    onUpdate={updateGroup}
+                    onDelete={deleteGroup}
+                    onToggleMember={toggleMember}
+                    onToggleFilter={toggleGroupFilter}
                   />
                 )}
               </div>
@@ -527,12 +1332,35 @@ export default function SocialOrbit() {
             onApiKeyChange={setApiKey}
             useMockMode={useMockMode}
             onMockModeChange={setUseMockMode}
+            provider={llmProvider}
+            onProviderChange={setLlmProvider}
+            decaySettings={decaySettings}
+            onDecaySettingsChange={setDecaySettings}
+            reminderSettings={reminderSettings}
+            onReminderSettingsChange={setReminderSettings}
+            customFields={customFields}
+            onCustomFieldsChange={setCustomFields}
             onSave={handleApiKeySave}
             onClearApiKey={handleClearApiKey}
           />
         )}
       </AnimatePresence>
 
+      <AnimatePresence>
+        {showTrash && (
+          <TrashModal
+            isOpen={showTrash}
+            onClose={() => setShowTrash(false)}
+            items={trashItems}
+            settings={trashSettings}
+            onSettingsChange={setTrashSettings}
+            onRestore={restoreFriend}
+            onPurge={(id) => purgeFromTrash([id])}
+            onEmpty={emptyTrash}
+          />
+        )}
+      </AnimatePresence>
+
       <AnimatePresence>
         {showOnboarding && (
           <OnboardingModal
@@ -550,9 +1378,26 @@ export default function SocialOrbit() {
             isOpen={showRecalculate}
             onClose={() => setShowRecalculate(false)}
             friends={friends}
+            groups={groups}
             loading={recalculating}
             progress={recalculateProgress}
             onRecalculate={handleRecalculate}
+            onCancel={cancelRecalculate}
+            review={recalculationReview}
+            onApplyReview={applyRecalculationReview}
+            onDiscardReview={discardRecalculationReview}
+            onUnlockFriend={unlockFriendPosition}
+          />
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {resumableJob && !showOnboarding && (
+          <ResumeJobModal
+            isOpen={!!resumableJob}
+            job={resumableJob}
+            onResume={resumeJob}
+            onDiscard={clearJob}
           />
         )}
       </AnimatePresence>
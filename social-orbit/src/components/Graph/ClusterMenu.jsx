@@ -21,10 +21,11 @@ function renderIcon(iconName, size = 14, color = 'currentColor') {
  * @param {number} props.x - X position (percentage)
  * @param {number} props.y - Y position (percentage)
  * @param {number} props.scale - Current view scale (for inverse scaling)
+ * @param {Object} props.avatars - Photo data URLs by friend ID
  * @param {Function} props.onSelect - Called when a friend is selected
  * @param {Function} props.onClose - Called when menu should close
  */
-export default function ClusterMenu({ items, x, y, scale, onSelect, onClose }) {
+export default function ClusterMenu({ items, x, y, scale, avatars = {}, onSelect, onClose }) {
   if (!items || items.length === 0) return null;
 
   return (
@@ -50,7 +51,11 @@ export default function ClusterMenu({ items, x, y, scale, onSelect, onClose }) {
           }}
           className="flex items-center gap-2 p-2 hover:bg-slate-800 rounded text-left text-xs text-white"
         >
-          {renderIcon(item.icon, 14, item.color)}
+          {avatars[item.id] ? (
+            <img src={avatars[item.id]} alt="" className="w-4 h-4 rounded-full object-cover" />
+          ) : (
+            renderIcon(item.icon, 14, item.color)
+          )}
           {item.name}
         </button>
       ))}
@@ -0,0 +1,50 @@
+/**
+ * ConnectionLayer Component
+ * Lines between connected friends, colored by type and weighted by strength
+ */
+
+import React from 'react';
+import { CONNECTION_TYPES, CONNECTION_STRENGTHS } from '../../constants/connections';
+
+/**
+ * ConnectionLayer - Friend-to-friend edges (percent coordinates match nodes)
+ * @param {Object} props
+ * @param {Array} props.connections - Edges with both ends in `friends`
+ * @param {Array} props.friends - Friends currently drawn
+ * @param {string|null} props.highlightId - Friend whose edges are emphasized
+ */
+export default function ConnectionLayer({ connections, friends, highlightId = null }) {
+  if (!connections.length) return null;
+
+  const positions = new Map(friends.map((f) => [f.id, f]));
+
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible" style={{ zIndex: 3 }}>
+      {connections.map((connection) => {
+        const a = positions.get(connection.a);
+        const b = positions.get(connection.b);
+        if (!a || !b) return null;
+
+        const type = CONNECTION_TYPES.find((t) => t.id === connection.type);
+        const strength = CONNECTION_STRENGTHS.find((s) => s.value === connection.strength)?.value ?? 1;
+        const touchesHighlight = highlightId && (connection.a === highlightId || connection.b === highlightId);
+        const opacity = highlightId ? (touchesHighlight ? 0.9 : 0.15) : 0.5;
+
+        return (
+          <line
+            key={connection.id}
+            x1={`${a.x}%`}
+            y1={`${a.y}%`}
+            x2={`${b.x}%`}
+            y2={`${b.y}%`}
+            stroke={type?.color || '#94a3b8'}
+            strokeWidth={strength}
+            strokeDasharray={strength === 1 ? '3 3' : undefined}
+            strokeLinecap="round"
+            opacity={opacity}
+          />
+        );
+      })}
+    </svg>
+  );
+}
@@ -6,6 +6,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { ICON_MAP, DEFAULT_ICON } from '../../constants/icons';
+import { getTrail, POSITION_SOURCE_LABELS } from '../../services/positionHistory';
 
 /**
  * Render an icon by name
@@ -15,47 +16,106 @@ function renderIcon(iconName, size = 20, color = 'currentColor') {
   return <IconComponent size={size} fill={color} className="text-slate-900" />;
 }
 
+/**
+ * OrbitTrail - Fading line through past positions, ending at the current one
+ * Drawn in percent coordinates over the whole nodes container.
+ */
+function OrbitTrail({ friend }) {
+  const trail = getTrail(friend);
+  if (trail.length === 0) return null;
+
+  const points = [...trail, { x: friend.x, y: friend.y }];
+  const color = friend.color || '#fff';
+
+  return (
+    <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible" style={{ zIndex: 4 }}>
+      {points.slice(1).map((point, i) => (
+        <line
+          key={`seg-${i}`}
+          x1={`${points[i].x}%`}
+          y1={`${points[i].y}%`}
+          x2={`${point.x}%`}
+          y2={`${point.y}%`}
+          stroke={color}
+          strokeWidth="2"
+          strokeLinecap="round"
+          opacity={0.1 + (0.6 * (i + 1)) / points.length}
+        />
+      ))}
+      {trail.map((entry, i) => (
+        <circle
+          key={`dot-${i}`}
+          cx={`${entry.x}%`}
+          cy={`${entry.y}%`}
+          r="3"
+          fill={color}
+          opacity={0.15 + (0.6 * (i + 1)) / points.length}
+          className="pointer-events-auto"
+        >
+          <title>
+            {`${POSITION_SOURCE_LABELS[entry.source] || entry.source} · ${new Date(entry.at).toLocaleDateString()} (${Math.round(entry.x)}, ${Math.round(entry.y)})`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
 /**
  * FriendNode - Individual node on the graph
  * @param {Object} props
  * @param {Object} props.friend - Friend data object
  * @param {boolean} props.isSelected - Whether this node is selected
+ * @param {boolean} props.showTrail - Draw the orbit trail of past positions
+ * @param {boolean} props.dimmed - Fade the node (e.g. deleted friend in the timeline)
+ * @param {boolean} props.overdue - Pulse a ring around the node (reach-out reminder)
+ * @param {string} props.avatar - Photo data URL, shown instead of the icon
  * @param {Function} props.onMouseDown - Mouse down handler for dragging
  */
-export default function FriendNode({ friend, isSelected, onMouseDown }) {
+export default function FriendNode({ friend, avatar, isSelected, showTrail = false, dimmed = false, overdue = false, onMouseDown }) {
   return (
-    <motion.div
-      key={friend.id}
-      initial={{ scale: 0 }}
-      animate={{ scale: 1 }}
-      className="absolute"
-      style={{
-        left: `${friend.x}%`,
-        top: `${friend.y}%`,
-        zIndex: isSelected ? 50 : 10
-      }}
-    >
-      <button
-        onMouseDown={onMouseDown}
-        className={`group relative transform -translate-x-1/2 -translate-y-1/2 transition-transform duration-200 ${
-          isSelected ? 'scale-125' : 'hover:scale-110'
-        }`}
+    <>
+      {showTrail && <OrbitTrail friend={friend} />}
+      <motion.div
+        key={friend.id}
+        initial={{ scale: 0 }}
+        animate={{ scale: 1 }}
+        className={`absolute transition-opacity ${dimmed ? 'opacity-30 grayscale' : ''}`}
+        style={{
+          left: `${friend.x}%`,
+          top: `${friend.y}%`,
+          zIndex: isSelected ? 50 : 10
+        }}
       >
-        <div
-          className={`p-2 rounded-full shadow-lg border-2 backdrop-blur-md flex items-center justify-center transition-colors ${
-            isSelected
-              ? 'bg-white border-white'
-              : 'bg-black/40 border-white/20 hover:bg-black/60'
+        <button
+          onMouseDown={onMouseDown}
+          className={`group relative transform -translate-x-1/2 -translate-y-1/2 transition-transform duration-200 ${
+            isSelected ? 'scale-125' : 'hover:scale-110'
           }`}
-          style={{ color: friend.color || '#fff' }}
         >
-          {renderIcon(friend.icon, 20, friend.color || '#fff')}
-        </div>
-        <div className="absolute top-full left-1/2 -translate-x-1/2 mt-1 px-2 py-0.5 bg-black/50 rounded text-[10px] font-medium text-white whitespace-nowrap backdrop-blur-sm pointer-events-none">
-          {friend.name}
-        </div>
-      </button>
-    </motion.div>
+          {overdue && (
+            <span className="absolute inset-0 rounded-full border-2 border-amber-400 animate-ping pointer-events-none" />
+          )}
+          <div
+            className={`${avatar ? '' : 'p-2'} rounded-full shadow-lg border-2 backdrop-blur-md flex items-center justify-center transition-colors ${
+              isSelected
+                ? 'bg-white border-white'
+                : 'bg-black/40 border-white/20 hover:bg-black/60'
+            }`}
+            style={{ color: friend.color || '#fff' }}
+          >
+            {avatar ? (
+              <img src={avatar} alt={friend.name} draggable={false} className="w-9 h-9 rounded-full object-cover" />
+            ) : (
+              renderIcon(friend.icon, 20, friend.color || '#fff')
+            )}
+          </div>
+          <div className="absolute top-full left-1/2 -translate-x-1/2 mt-1 px-2 py-0.5 bg-black/50 rounded text-[10px] font-medium text-white whitespace-nowrap backdrop-blur-sm pointer-events-none">
+            {friend.name}
+          </div>
+        </button>
+      </motion.div>
+    </>
   );
 }
 
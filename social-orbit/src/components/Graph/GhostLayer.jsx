@@ -0,0 +1,68 @@
+/**
+ * GhostLayer Component
+ * Previews pending position changes: a faded "ghost" node at the proposed
+ * spot with an arrow from the friend's current position
+ */
+
+import React from 'react';
+import { ICON_MAP, DEFAULT_ICON } from '../../constants/icons';
+
+/**
+ * GhostLayer - Arrows and ghost nodes for proposed moves
+ * @param {Object} props
+ * @param {Array} props.ghosts - [{ id, name, icon, color, from: {x, y}, to: {x, y} }]
+ */
+export default function GhostLayer({ ghosts }) {
+  if (!ghosts?.length) return null;
+
+  return (
+    <>
+      {/* Arrows (percent coordinates match node positioning) */}
+      <svg className="absolute inset-0 w-full h-full pointer-events-none overflow-visible" style={{ zIndex: 5 }}>
+        <defs>
+          <marker id="ghost-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#c084fc" />
+          </marker>
+        </defs>
+        {ghosts.map((ghost) => (
+          <line
+            key={ghost.id}
+            x1={`${ghost.from.x}%`}
+            y1={`${ghost.from.y}%`}
+            x2={`${ghost.to.x}%`}
+            y2={`${ghost.to.y}%`}
+            stroke="#c084fc"
+            strokeWidth="1.5"
+            strokeDasharray="4 3"
+            markerEnd="url(#ghost-arrow)"
+            opacity="0.8"
+          />
+        ))}
+      </svg>
+
+      {/* Ghost nodes at the proposed positions */}
+      {ghosts.map((ghost) => {
+        const IconComponent = ICON_MAP[ghost.icon] || ICON_MAP[DEFAULT_ICON];
+        return (
+          <div
+            key={ghost.id}
+            className="absolute pointer-events-none"
+            style={{ left: `${ghost.to.x}%`, top: `${ghost.to.y}%`, zIndex: 6 }}
+          >
+            <div className="transform -translate-x-1/2 -translate-y-1/2 opacity-60">
+              <div
+                className="p-2 rounded-full border-2 border-dashed border-purple-300 bg-black/30 flex items-center justify-center"
+                style={{ color: ghost.color || '#fff' }}
+              >
+                <IconComponent size={20} fill={ghost.color || '#fff'} className="text-slate-900" />
+              </div>
+              <div className="absolute top-full left-1/2 -translate-x-1/2 mt-1 px-2 py-0.5 bg-purple-900/50 rounded text-[10px] font-medium text-purple-100 whitespace-nowrap">
+                {ghost.name}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -10,6 +10,20 @@ import FriendNode from './FriendNode';
 import ClusterMenu from './ClusterMenu';
 import GraphControls from './GraphControls';
 import GraphBackground from './GraphBackground';
+import GhostLayer from './GhostLayer';
+import TimelineScrubber from './TimelineScrubber';
+import ConnectionLayer from './ConnectionLayer';
+import GroupHullLayer from './GroupHullLayer';
+import SearchBar from './SearchBar';
+import { getVisibleConnections } from '../../services/connections';
+import { matchesFilters, hasActiveFilters, getFilterOptions } from '../../services/friendSearch';
+import { EMPTY_FRIEND_FILTERS, FLY_TO_SCALE } from '../../constants/search';
+import {
+  recordPosition,
+  POSITION_SOURCES,
+  getTimelineRange,
+  getNetworkAt
+} from '../../services/positionHistory';
 
 /**
  * Detect cluster of overlapping friends at a position
@@ -28,9 +42,21 @@ function detectCluster(friends, targetFriend, threshold = 3) {
  * @param {Array} props.friends - Array of friend objects
  * @param {Object|null} props.selectedFriend - Currently selected friend
  * @param {Function} props.onSelectFriend - Called when a friend is selected
- * @param {Function} props.onUpdateFriends - Called when friends array needs updating
+ * @param {Function} props.onUpdateFriends - Called when friends array needs updating (updater, { label, mergeKey, gestureId })
  * @param {Function} props.onEditPersona - Called when "ME" button is clicked
  * @param {number} props.width - Width percentage of container
+ * @param {Array} props.ghosts - Proposed moves to preview (see GhostLayer)
+ * @param {Array} props.removedFriends - Deleted friends and purged tombstones ({ ...friend, removedAt }) for the timeline
+ * @param {Set} props.overdueIds - Friends with an active reach-out reminder
+ * @param {Array} props.connections - Friend-to-friend edges (see services/connections)
+ * @param {Array} props.groups - Groups outlined with a hull (see services/groups)
+ * @param {Set} props.groupFilterIds - Groups used as a filter (their hulls stay emphasized)
+ * @param {Set|null} props.filteredIds - Friends matching the active filter; others are dimmed
+ * @param {Object} props.avatars - Photo data URLs by friend ID
+ * @param {Function} props.onUndo - Undo the last change
+ * @param {Function} props.onRedo - Redo the last undone change
+ * @param {string|null} props.undoLabel - Description of the step undo would revert (null = nothing to undo)
+ * @param {string|null} props.redoLabel - Description of the step redo would reapply
  */
 export default function GraphCanvas({
   friends,
@@ -38,12 +64,73 @@ export default function GraphCanvas({
   onSelectFriend,
   onUpdateFriends,
   onEditPersona,
-  width
+  width,
+  ghosts = [],
+  removedFriends = [],
+  overdueIds,
+  connections = [],
+  groups = [],
+  groupFilterIds,
+  filteredIds = null,
+  avatars = {},
+  onUndo,
+  onRedo,
+  undoLabel = null,
+  redoLabel = null
 }) {
   const graphRef = useRef(null);
   const [clusterMenu, setClusterMenu] = React.useState(null);
   const [showGrid, setShowGrid] = React.useState(true);
   const [showInsights, setShowInsights] = React.useState(true);
+  const [showTrails, setShowTrails] = React.useState(false);
+  const [showConnections, setShowConnections] = React.useState(true);
+  const [searchFilters, setSearchFilters] = React.useState(EMPTY_FRIEND_FILTERS);
+
+  // Timeline mode: range is frozen when opened, null means live view
+  const [timelineRange, setTimelineRange] = React.useState(null);
+  const [timelineTime, setTimelineTime] = React.useState(0);
+  const [timelinePlaying, setTimelinePlaying] = React.useState(false);
+
+  const toggleTimeline = useCallback(() => {
+    if (timelineRange) {
+      setTimelineRange(null);
+      setTimelinePlaying(false);
+      return;
+    }
+    const range = getTimelineRange(friends, removedFriends);
+    setTimelineRange(range);
+    setTimelineTime(range.start);
+    setClusterMenu(null);
+  }, [timelineRange, friends, removedFriends]);
+
+  const visibleFriends = React.useMemo(
+    () => (timelineRange ? getNetworkAt(friends, removedFriends, timelineTime) : friends),
+    [timelineRange, friends, removedFriends, timelineTime]
+  );
+
+  const visibleConnections = React.useMemo(
+    () => (showConnections ? getVisibleConnections(connections, visibleFriends) : []),
+    [showConnections, connections, visibleFriends]
+  );
+
+  // Search results, sorted by name; null when no search or filter is active
+  const searchResults = React.useMemo(() => {
+    if (!hasActiveFilters(searchFilters)) return null;
+    return friends
+      .filter((f) => matchesFilters(f, searchFilters))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [friends, searchFilters]);
+
+  const searchMatchIds = React.useMemo(
+    () => (searchResults ? new Set(searchResults.map((f) => f.id)) : null),
+    [searchResults]
+  );
+
+  const filterOptions = React.useMemo(() => getFilterOptions(friends), [friends]);
+
+  // Dimmed when outside the group filter or the search
+  const isFilteredOut = (id) =>
+    (!!filteredIds && !filteredIds.has(id)) || (!!searchMatchIds && !searchMatchIds.has(id));
 
   // Handle node click - either select or show cluster menu
   const handleNodeClick = useCallback((nodeId) => {
@@ -67,17 +154,20 @@ export default function GraphCanvas({
     }
   }, [friends, onSelectFriend]);
 
-  // Handle node drag - update friend position
-  const handleNodeDrag = useCallback((nodeId, deltaX, deltaY) => {
+  // Handle node drag - update friend position and lock it against recalculation
+  // All moves of one drag share its gesture ID, so they undo as a single step
+  const handleNodeDrag = useCallback((nodeId, deltaX, deltaY, gestureId) => {
+    const dragged = friends.find((f) => f.id === nodeId);
     onUpdateFriends((prevFriends) =>
       prevFriends.map((f) => {
         if (f.id === nodeId) {
           const newX = Math.min(Math.max(f.x + deltaX, 0), 100);
           const newY = Math.min(Math.max(f.y + deltaY, 0), 100);
-          return { ...f, x: newX, y: newY };
+          return { ...f, x: newX, y: newY, positionLocked: true };
         }
         return f;
-      })
+      }),
+    { label: `Move ${dragged?.name ?? 'friend'}`, gestureId }
     );
 
     // Update selected friend if it's being dragged
@@ -85,10 +175,20 @@ export default function GraphCanvas({
       onSelectFriend((prev) => ({
         ...prev,
         x: Math.min(Math.max(prev.x + deltaX, 0), 100),
-        y: Math.min(Math.max(prev.y + deltaY, 0), 100)
+        y: Math.min(Math.max(prev.y + deltaY, 0), 100),
+        positionLocked: true
       }));
     }
-  }, [selectedFriend, onSelectFriend, onUpdateFriends]);
+  }, [friends, selectedFriend, onSelectFriend, onUpdateFriends]);
+
+  // Record the final spot of a drag in the friend's position history,
+  // folded into the drag's own undo step
+  const handleNodeDragEnd = useCallback((nodeId, gestureId) => {
+    onUpdateFriends((prevFriends) =>
+      prevFriends.map((f) => (f.id === nodeId ? recordPosition(f, POSITION_SOURCES.MANUAL) : f)),
+    { label: 'Move', gestureId }
+    );
+  }, [onUpdateFriends]);
 
   // Graph interaction hook
   const {
@@ -100,13 +200,29 @@ export default function GraphCanvas({
     handleMouseUp,
     resetView,
     zoomIn,
-    zoomOut
+    zoomOut,
+    setView
   } = useGraphInteraction({
     onNodeClick: handleNodeClick,
     onNodeDrag: handleNodeDrag,
+    onNodeDragEnd: handleNodeDragEnd,
     graphRef
   });
 
+  // Center and zoom on a friend (node positions are percent of the graph area)
+  const flyTo = useCallback((friend) => {
+    const rect = graphRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const scale = Math.max(view.scale, FLY_TO_SCALE);
+    setView({
+      scale,
+      x: rect.width / 2 - (friend.x / 100) * rect.width * scale,
+      y: rect.height / 2 - (friend.y / 100) * rect.height * scale
+    });
+    setClusterMenu(null);
+    onSelectFriend(friend);
+  }, [view.scale, setView, onSelectFriend]);
+
   // Close cluster menu when clicking on graph
   const handleGraphClick = useCallback((e) => {
     handleGraphMouseDown(e);
@@ -147,13 +263,34 @@ export default function GraphCanvas({
 
           {/* Nodes container */}
           <div className="absolute top-0 left-0 w-full h-full border-l-2 border-t-2 border-white/50 origin-top-left p-12">
-            {/* Friend nodes */}
-            {friends.map((friend) => (
+            {/* Pending moves preview */}
+            {!timelineRange && <GhostLayer ghosts={ghosts} />}
+
+            {/* Group outlines */}
+            <GroupHullLayer
+              groups={groups}
+              friends={visibleFriends.filter((f) => !f.removed)}
+              activeIds={groupFilterIds?.size ? groupFilterIds : null}
+            />
+
+            {/* Friend-to-friend connections */}
+            <ConnectionLayer
+              connections={visibleConnections}
+              friends={visibleFriends}
+              highlightId={selectedFriend?.id ?? null}
+            />
+
+            {/* Friend nodes (read-only while replaying the timeline) */}
+            {visibleFriends.map((friend) => (
               <FriendNode
                 key={friend.id}
                 friend={friend}
+                avatar={avatars[friend.id]}
                 isSelected={selectedFriend?.id === friend.id}
-                onMouseDown={(e) => handleNodeMouseDown(e, friend.id)}
+                showTrail={showTrails || selectedFriend?.id === friend.id}
+                dimmed={friend.removed || isFilteredOut(friend.id)}
+                overdue={!timelineRange && !!overdueIds?.has(friend.id)}
+                onMouseDown={timelineRange ? undefined : (e) => handleNodeMouseDown(e, friend.id)}
               />
             ))}
 
@@ -164,6 +301,7 @@ export default function GraphCanvas({
                 x={clusterMenu.x}
                 y={clusterMenu.y}
                 scale={view.scale}
+                avatars={avatars}
                 onSelect={onSelectFriend}
                 onClose={() => setClusterMenu(null)}
               />
@@ -181,10 +319,33 @@ export default function GraphCanvas({
         onToggleGrid={() => setShowGrid((g) => !g)}
         showInsights={showInsights}
         onToggleInsights={() => setShowInsights((v) => !v)}
+        showTrails={showTrails}
+        onToggleTrails={() => setShowTrails((v) => !v)}
+        showTimeline={!!timelineRange}
+        onToggleTimeline={toggleTimeline}
+        showConnections={showConnections}
+        onToggleConnections={() => setShowConnections((v) => !v)}
+        onUndo={onUndo}
+        onRedo={onRedo}
+        undoLabel={timelineRange ? null : undoLabel}
+        redoLabel={timelineRange ? null : redoLabel}
       />
 
-      {/* ME button (user position at 0,0) */}
-      <div className="absolute top-4 left-4 z-10 pointer-events-auto">
+      {/* Timeline replay */}
+      {timelineRange && (
+        <TimelineScrubber
+          range={timelineRange}
+          time={timelineTime}
+          onTimeChange={setTimelineTime}
+          playing={timelinePlaying}
+          onPlayingChange={setTimelinePlaying}
+          onClose={toggleTimeline}
+          visibleCount={visibleFriends.length}
+        />
+      )}
+
+      {/* ME button (user position at 0,0) and search */}
+      <div className="absolute top-4 left-4 z-10 pointer-events-auto flex items-start gap-2">
         <button
           onClick={onEditPersona}
           className="bg-white/90 hover:bg-white text-slate-900 px-3 py-1.5 rounded-full font-bold shadow-lg flex items-center gap-2 transition-transform hover:scale-105"
@@ -193,6 +354,13 @@ export default function GraphCanvas({
           <User size={16} />
           ME <span className="text-xs text-slate-500">(0,0)</span>
         </button>
+        <SearchBar
+          filters={searchFilters}
+          onFiltersChange={setSearchFilters}
+          options={filterOptions}
+          results={searchResults || []}
+          onFlyTo={flyTo}
+        />
       </div>
     </div>
   );
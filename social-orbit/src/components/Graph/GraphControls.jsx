@@ -1,10 +1,10 @@
 /**
  * GraphControls Component
- * HUD controls for graph viewport (zoom, grid toggle, etc.)
+ * HUD controls for graph viewport (zoom, grid toggle, undo/redo, etc.)
  */
 
 import React from 'react';
-import { ZoomIn, ZoomOut, Move, Grid, Info } from 'lucide-react';
+import { ZoomIn, ZoomOut, Move, Grid, Info, History, Clock, Share2, Undo2, Redo2 } from 'lucide-react';
 
 /**
  * GraphControls - Floating control buttons for graph
@@ -16,6 +16,16 @@ import { ZoomIn, ZoomOut, Move, Grid, Info } from 'lucide-react';
  * @param {Function} props.onToggleGrid - Toggle grid visibility
  * @param {boolean} props.showInsights - Whether insight zones are visible
  * @param {Function} props.onToggleInsights - Toggle insight zones visibility
+ * @param {boolean} props.showTrails - Whether orbit trails are visible for all friends
+ * @param {Function} props.onToggleTrails - Toggle orbit trails
+ * @param {boolean} props.showTimeline - Whether the timeline replay is open
+ * @param {Function} props.onToggleTimeline - Open/close the timeline replay
+ * @param {boolean} props.showConnections - Whether friend-to-friend lines are visible
+ * @param {Function} props.onToggleConnections - Toggle friend-to-friend lines
+ * @param {Function} props.onUndo - Undo handler
+ * @param {Function} props.onRedo - Redo handler
+ * @param {string|null} props.undoLabel - Step undo would revert (null disables the button)
+ * @param {string|null} props.redoLabel - Step redo would reapply (null disables the button)
  */
 export default function GraphControls({
   onZoomIn,
@@ -24,7 +34,17 @@ export default function GraphControls({
   showGrid,
   onToggleGrid,
   showInsights,
-  onToggleInsights
+  onToggleInsights,
+  showTrails,
+  onToggleTrails,
+  showTimeline,
+  onToggleTimeline,
+  showConnections,
+  onToggleConnections,
+  onUndo,
+  onRedo,
+  undoLabel = null,
+  redoLabel = null
 }) {
   const buttonBase = "p-2 rounded-full text-white backdrop-blur transition-colors";
   const buttonInactive = "bg-slate-800/80 hover:bg-slate-700";
@@ -71,6 +91,48 @@ export default function GraphControls({
       >
         <Info size={18} />
       </button>
+
+      <button
+        onClick={onToggleTrails}
+        className={`${buttonBase} ${showTrails ? buttonActive : buttonInactive}`}
+        title="Toggle Orbit Trails"
+      >
+        <History size={18} />
+      </button>
+
+      <button
+        onClick={onToggleTimeline}
+        className={`${buttonBase} ${showTimeline ? buttonActive : buttonInactive}`}
+        title="Timeline Replay"
+      >
+        <Clock size={18} />
+      </button>
+
+      <button
+        onClick={onToggleConnections}
+        className={`${buttonBase} ${showConnections ? buttonActive : buttonInactive}`}
+        title="Toggle Connections"
+      >
+        <Share2 size={18} />
+      </button>
+
+      <button
+        onClick={onUndo}
+        disabled={!undoLabel}
+        className={`${buttonBase} ${buttonInactive} disabled:opacity-40 disabled:cursor-not-allowed`}
+        title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+      >
+        <Undo2 size={18} />
+      </button>
+
+      <button
+        onClick={onRedo}
+        disabled={!redoLabel}
+        className={`${buttonBase} ${buttonInactive} disabled:opacity-40 disabled:cursor-not-allowed`}
+        title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+      >
+        <Redo2 size={18} />
+      </button>
     </div>
   );
 }
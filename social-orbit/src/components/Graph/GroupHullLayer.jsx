@@ -0,0 +1,67 @@
+/**
+ * GroupHullLayer Component
+ * Translucent outline around each group's members, in the group's color
+ */
+
+import React from 'react';
+import { getGroupMembers, getGroupHull } from '../../services/groups';
+
+/**
+ * GroupHullLayer - Hull polygons with a name label on top
+ * The svg uses a 0-100 viewBox so hull points map straight onto the
+ * percent coordinates nodes are positioned with.
+ * @param {Object} props
+ * @param {Array} props.groups - { id, name, color, memberIds }
+ * @param {Array} props.friends - Friends currently drawn
+ * @param {Set|null} props.activeIds - Groups to emphasize (filter); null = all equal
+ */
+export default function GroupHullLayer({ groups, friends, activeIds = null }) {
+  const hulls = groups
+    .map((group) => ({ group, points: getGroupHull(getGroupMembers(group, friends)) }))
+    .filter(({ points }) => points.length > 0);
+
+  if (hulls.length === 0) return null;
+
+  return (
+    <>
+      <svg
+        className="absolute inset-0 w-full h-full pointer-events-none overflow-visible"
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        style={{ zIndex: 2 }}
+      >
+        {hulls.map(({ group, points }) => {
+          const faded = activeIds && !activeIds.has(group.id);
+          return (
+            <polygon
+              key={group.id}
+              points={points.map((p) => `${p.x},${p.y}`).join(' ')}
+              fill={group.color}
+              fillOpacity={faded ? 0.03 : 0.1}
+              stroke={group.color}
+              strokeOpacity={faded ? 0.15 : 0.5}
+              strokeWidth="1.5"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+          );
+        })}
+      </svg>
+
+      {/* Labels above the top of each hull */}
+      {hulls.map(({ group, points }) => {
+        const top = points.reduce((best, p) => (p.y < best.y ? p : best), points[0]);
+        const faded = activeIds && !activeIds.has(group.id);
+        return (
+          <div
+            key={group.id}
+            className={`absolute pointer-events-none -translate-x-1/2 -translate-y-full text-[10px] font-semibold uppercase tracking-wider whitespace-nowrap ${faded ? 'opacity-30' : 'opacity-80'}`}
+            style={{ left: `${top.x}%`, top: `${top.y}%`, color: group.color, zIndex: 2 }}
+          >
+            {group.name}
+          </div>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * SearchBar Component
+ * Graph HUD for finding friends: text search, filters and fly-to results
+ */
+
+import React, { useState } from 'react';
+import { Search, SlidersHorizontal, X, Crosshair } from 'lucide-react';
+import { ICON_MAP, DEFAULT_ICON } from '../../constants/icons';
+import { REMINDER_ZONES } from '../../constants/reminders';
+import { EMPTY_FRIEND_FILTERS, LAST_CONTACT_FILTERS, SEARCH_RESULT_LIMIT } from '../../constants/search';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * SearchBar - Search box with a collapsible filter row
+ * @param {Object} props
+ * @param {Object} props.filters - See EMPTY_FRIEND_FILTERS
+ * @param {Function} props.onFiltersChange - Set the filters
+ * @param {Object} props.options - { categories, tags, icons } present in the network
+ * @param {Array} props.results - Friends matching the filters
+ * @param {Function} props.onFlyTo - Center the graph on a friend and select it
+ */
+export default function SearchBar({ filters, onFiltersChange, options, results, onFlyTo }) {
+  const [showFilters, setShowFilters] = useState(false);
+
+  const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+  const activeFilterCount = Object.entries(filters).filter(([key, value]) => key !== 'query' && value).length;
+  const isActive = filters.query.trim() || activeFilterCount > 0;
+
+  const selectClass = 'bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs text-white focus:border-purple-500 outline-none';
+
+  return (
+    <div
+      className="w-72 bg-slate-900/90 backdrop-blur border border-slate-700 rounded-xl shadow-2xl"
+      onMouseDown={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center gap-2 px-3 py-2">
+        <Search size={14} className="text-slate-500 flex-shrink-0" />
+        <input
+          type="text"
+          placeholder="Search name, notes, tags..."
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && results.length > 0) onFlyTo(results[0]);
+            if (e.key === 'Escape') onFiltersChange(EMPTY_FRIEND_FILTERS);
+          }}
+          className="flex-1 min-w-0 bg-transparent text-sm text-white placeholder-slate-500 outline-none"
+        />
+        {isActive && (
+          <button
+            onClick={() => onFiltersChange(EMPTY_FRIEND_FILTERS)}
+            className="text-slate-500 hover:text-white"
+            title="Clear search and filters"
+          >
+            <X size={14} />
+          </button>
+        )}
+        <button
+          onClick={() => setShowFilters((v) => !v)}
+          className={`relative ${showFilters || activeFilterCount ? 'text-purple-400' : 'text-slate-500 hover:text-white'}`}
+          title="Filters"
+        >
+          <SlidersHorizontal size={14} />
+          {activeFilterCount > 0 && (
+            <span className="absolute -top-1.5 -right-1.5 bg-purple-600 text-white text-[9px] rounded-full w-3.5 h-3.5 flex items-center justify-center">
+              {activeFilterCount}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {/* Filters */}
+      {showFilters && (
+        <div className="grid grid-cols-2 gap-2 px-3 pb-3 border-t border-slate-800 pt-3">
+          <select value={filters.category} onChange={(e) => setFilter('category', e.target.value)} className={selectClass}>
+            <option value="">Any category</option>
+            {options.categories.map((category) => (
+              <option key={category} value={category}>{capitalize(category)}</option>
+            ))}
+          </select>
+          <select value={filters.zone} onChange={(e) => setFilter('zone', e.target.value)} className={selectClass}>
+            <option value="">Any zone</option>
+            {REMINDER_ZONES.map((zone) => (
+              <option key={zone.id} value={zone.id}>{zone.label}</option>
+            ))}
+          </select>
+          <select value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)} className={selectClass}>
+            <option value="">Any tag</option>
+            {options.tags.map((tag) => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+          <select value={filters.icon} onChange={(e) => setFilter('icon', e.target.value)} className={selectClass}>
+            <option value="">Any icon</option>
+            {options.icons.map((icon) => (
+              <option key={icon} value={icon}>{icon}</option>
+            ))}
+          </select>
+          <select
+            value={filters.lastContact}
+            onChange={(e) => setFilter('lastContact', e.target.value)}
+            className={`${selectClass} col-span-2`}
+          >
+            <option value="">Any last contact</option>
+            {LAST_CONTACT_FILTERS.map((bucket) => (
+              <option key={bucket.id} value={bucket.id}>{bucket.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Results */}
+      {isActive && (
+        <div className="border-t border-slate-800 py-1 max-h-64 overflow-y-auto modern-scrollbar">
+          {results.length === 0 ? (
+            <p className="px-3 py-2 text-xs text-slate-500">No matches</p>
+          ) : (
+            <>
+              {results.slice(0, SEARCH_RESULT_LIMIT).map((friend) => {
+                const IconComponent = ICON_MAP[friend.icon] || ICON_MAP[DEFAULT_ICON];
+                return (
+                  <button
+                    key={friend.id}
+                    onClick={() => onFlyTo(friend)}
+                    className="w-full flex items-center gap-2 px-3 py-1.5 text-left hover:bg-slate-800 group"
+                  >
+                    <IconComponent size={14} style={{ color: friend.color || '#fff' }} className="flex-shrink-0" />
+                    <span className="text-sm text-slate-200 truncate">{friend.name}</span>
+                    {friend.tags?.length > 0 && (
+                      <span className="text-[10px] text-sky-300/70 truncate">{friend.tags.join(', ')}</span>
+                    )}
+                    <Crosshair size={12} className="ml-auto text-slate-600 group-hover:text-purple-400 flex-shrink-0" />
+                  </button>
+                );
+              })}
+              {results.length > SEARCH_RESULT_LIMIT && (
+                <p className="px-3 py-1 text-[10px] text-slate-500">
+                  +{results.length - SEARCH_RESULT_LIMIT} more highlighted on the graph
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
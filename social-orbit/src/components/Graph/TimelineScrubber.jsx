@@ -0,0 +1,101 @@
+/**
+ * TimelineScrubber Component
+ * Bottom HUD for replaying the network over time
+ */
+
+import React, { useEffect } from 'react';
+import { Play, Pause, X } from 'lucide-react';
+
+// Full replay from first friend to today takes this long
+const PLAYBACK_DURATION_MS = 10000;
+const PLAYBACK_TICK_MS = 50;
+
+function formatDate(time) {
+  return new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * TimelineScrubber - Date slider with play/pause
+ * @param {Object} props
+ * @param {Object} props.range - { start, end } timestamps
+ * @param {number} props.time - Currently shown moment
+ * @param {Function} props.onTimeChange - Set the shown moment
+ * @param {boolean} props.playing - Whether playback is running
+ * @param {Function} props.onPlayingChange - Start/stop playback
+ * @param {Function} props.onClose - Leave timeline mode (back to live view)
+ * @param {number} props.visibleCount - Friends shown at this moment
+ */
+export default function TimelineScrubber({
+  range,
+  time,
+  onTimeChange,
+  playing,
+  onPlayingChange,
+  onClose,
+  visibleCount
+}) {
+  const span = Math.max(range.end - range.start, 1);
+
+  // Advance time while playing
+  useEffect(() => {
+    if (!playing) return;
+    const step = span / (PLAYBACK_DURATION_MS / PLAYBACK_TICK_MS);
+    const timer = setInterval(() => {
+      onTimeChange((prev) => Math.min(prev + step, range.end));
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, span, range.end, onTimeChange]);
+
+  // Stop at the end
+  useEffect(() => {
+    if (playing && time >= range.end) onPlayingChange(false);
+  }, [playing, time, range.end, onPlayingChange]);
+
+  const togglePlay = () => {
+    // Restart from the beginning when already at the end
+    if (!playing && time >= range.end) onTimeChange(range.start);
+    onPlayingChange(!playing);
+  };
+
+  return (
+    <div
+      className="absolute bottom-4 left-1/2 -translate-x-1/2 z-20 w-[min(90%,36rem)] bg-slate-900/90 backdrop-blur border border-slate-700 rounded-xl px-4 py-3 shadow-2xl"
+      onMouseDown={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between mb-2 text-xs">
+        <span className="text-white font-semibold">{formatDate(time)}</span>
+        <span className="text-slate-400">{visibleCount} friend{visibleCount === 1 ? '' : 's'}</span>
+        <button onClick={onClose} className="text-slate-400 hover:text-white flex items-center gap-1" title="Back to live view">
+          <X size={14} /> Live
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          onClick={togglePlay}
+          className="p-2 rounded-full bg-purple-600 hover:bg-purple-500 text-white flex-shrink-0"
+          title={playing ? 'Pause' : 'Play'}
+        >
+          {playing ? <Pause size={14} /> : <Play size={14} />}
+        </button>
+        <input
+          type="range"
+          min={range.start}
+          max={range.end}
+          step={Math.max(Math.round(span / 1000), 1)}
+          value={time}
+          onChange={(e) => {
+            onPlayingChange(false);
+            onTimeChange(Number(e.target.value));
+          }}
+          className="flex-1 accent-purple-500"
+        />
+      </div>
+
+      <div className="flex justify-between text-[10px] text-slate-500 mt-1">
+        <span>{formatDate(range.start)}</span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+}
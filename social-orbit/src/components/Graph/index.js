@@ -8,3 +8,8 @@ export { default as ClusterMenu } from './ClusterMenu';
 export { default as GraphControls } from './GraphControls';
 export { default as GraphBackground } from './GraphBackground';
 
+export { default as GhostLayer } from './GhostLayer';
+export { default as TimelineScrubber } from './TimelineScrubber';
+export { default as ConnectionLayer } from './ConnectionLayer';
+export { default as GroupHullLayer } from './GroupHullLayer';
+export { default as SearchBar } from './SearchBar';
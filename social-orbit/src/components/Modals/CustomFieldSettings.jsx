@@ -0,0 +1,97 @@
+/**
+ * CustomFieldSettings Component
+ * Settings section for defining custom friend fields
+ */
+
+import React from 'react';
+import { ListPlus, Plus, Trash2 } from 'lucide-react';
+import { CUSTOM_FIELD_TYPES } from '../../constants/customFields';
+import { createFieldDefinition, parseFieldOptions } from '../../services/customFields';
+
+/**
+ * CustomFieldSettings - Add, rename, retype and delete field definitions
+ * @param {Object} props
+ * @param {Array} props.fields - { id, label, type, options, recurring }
+ * @param {Function} props.onChange - Save the updated definitions
+ */
+export default function CustomFieldSettings({ fields, onChange }) {
+  const updateField = (id, changes) => {
+    onChange(fields.map((field) => (field.id === id ? { ...field, ...changes } : field)));
+  };
+
+  const removeField = (field) => {
+    if (!window.confirm(`Delete the field "${field.label || 'Untitled'}"? Values already entered will be hidden.`)) return;
+    onChange(fields.filter((f) => f.id !== field.id));
+  };
+
+  const inputClass = 'bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs text-white focus:border-purple-500 outline-none';
+
+  return (
+    <div className="bg-slate-800 p-3 rounded-lg border border-slate-700 space-y-3">
+      <div className="flex items-center gap-3">
+        <div className="p-2 rounded-full bg-sky-500/20 text-sky-400">
+          <ListPlus size={18} />
+        </div>
+        <div>
+          <div className="text-sm font-medium text-white">Custom Fields</div>
+          <div className="text-xs text-slate-400">Extra details on every friend, like birthdays or links</div>
+        </div>
+      </div>
+
+      {fields.map((field) => (
+        <div key={field.id} className="space-y-1.5 border-t border-slate-700/50 pt-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="Field name"
+              value={field.label}
+              onChange={(e) => updateField(field.id, { label: e.target.value })}
+              className={`${inputClass} flex-1 min-w-0`}
+            />
+            <select
+              value={field.type}
+              onChange={(e) => updateField(field.id, { type: e.target.value })}
+              className={inputClass}
+            >
+              {CUSTOM_FIELD_TYPES.map((type) => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+            <button onClick={() => removeField(field)} className="text-slate-500 hover:text-red-400" title="Delete field">
+              <Trash2 size={14} />
+            </button>
+          </div>
+
+          {field.type === 'select' && (
+            <input
+              type="text"
+              placeholder="Options, comma-separated"
+              defaultValue={field.options.join(', ')}
+              onBlur={(e) => updateField(field.id, { options: parseFieldOptions(e.target.value) })}
+              className={`${inputClass} w-full`}
+            />
+          )}
+
+          {field.type === 'date' && (
+            <label className="flex items-center gap-2 text-xs text-slate-400">
+              <input
+                type="checkbox"
+                checked={field.recurring}
+                onChange={(e) => updateField(field.id, { recurring: e.target.checked })}
+                className="accent-purple-500"
+              />
+              Repeats every year (birthday, anniversary)
+            </label>
+          )}
+        </div>
+      ))}
+
+      <button
+        onClick={() => onChange([...fields, createFieldDefinition()])}
+        className="w-full py-1.5 text-xs rounded border border-dashed border-slate-600 text-slate-400 hover:text-white hover:border-slate-500 flex items-center justify-center gap-1"
+      >
+        <Plus size={12} /> Add field
+      </button>
+    </div>
+  );
+}
@@ -2,12 +2,13 @@
  * RecalculateModal Component
  * Select friends to recalculate their positions
  * 
- * Supports progress tracking for batch operations
+ * Supports progress tracking and stopping a run midway. When results come
+ * back nothing is applied yet: a review step lists each change for approval.
  */
 
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { X, RefreshCw, Check, Square, CheckSquare, AlertTriangle } from 'lucide-react';
+import { X, RefreshCw, Check, Square, CheckSquare, AlertTriangle, ArrowRight, Lock } from 'lucide-react';
 import { ICON_MAP, DEFAULT_ICON } from '../../constants/icons';
 
 /**
@@ -18,16 +19,149 @@ function renderIcon(iconName, size = 16, color = 'currentColor') {
   return <IconComponent size={size} style={{ color }} />;
 }
 
+/**
+ * Distance a friend would move on the graph
+ */
+function movementDistance(friend, result) {
+  return Math.hypot(result.x - friend.x, result.y - friend.y);
+}
+
+/**
+ * ReviewStep - Old vs new values with per-row accept/reject
+ */
+function ReviewStep({ rows, onApply, onDiscard }) {
+  const [rejectedIds, setRejectedIds] = useState(new Set());
+
+  const toggleRow = (id) => {
+    const next = new Set(rejectedIds);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setRejectedIds(next);
+  };
+
+  const acceptedIds = rows.map((row) => row.friend.id).filter((id) => !rejectedIds.has(id));
+
+  return (
+    <>
+      <div className="flex-1 overflow-y-auto p-4 space-y-2 modern-scrollbar">
+        {rows.length === 0 ? (
+          <p className="text-slate-500 text-center py-8">
+            No results to review
+          </p>
+        ) : (
+          rows.map(({ friend, result }) => {
+            const accepted = !rejectedIds.has(friend.id);
+            const locked = !!friend.positionLocked;
+            const distance = locked ? 0 : movementDistance(friend, result);
+            const iconChanged = result.icon && result.icon !== friend.icon;
+            const summaryChanged = result.summary !== friend.summary;
+
+            return (
+              <button
+                key={friend.id}
+                onClick={() => toggleRow(friend.id)}
+                className={`w-full p-3 rounded-lg border transition-all flex items-start gap-3 text-left ${
+                  accepted
+                    ? 'bg-purple-500/10 border-purple-500/50'
+                    : 'bg-slate-800/50 border-slate-700 opacity-60'
+                }`}
+              >
+                <div className={`flex-shrink-0 mt-0.5 ${accepted ? 'text-purple-400' : 'text-slate-500'}`}>
+                  {accepted ? <CheckSquare size={20} /> : <Square size={20} />}
+                </div>
+
+                <div className="flex-1 min-w-0 space-y-1">
+                  <div className="flex items-center gap-2">
+                    <span style={{ color: friend.color || '#fff' }}>{renderIcon(friend.icon, 14, friend.color)}</span>
+                    {iconChanged && (
+                      <>
+                        <ArrowRight size={12} className="text-slate-500" />
+                        <span style={{ color: friend.color || '#fff' }}>{renderIcon(result.icon, 14, friend.color)}</span>
+                      </>
+                    )}
+                    <span className="font-medium text-white truncate">{friend.name}</span>
+                  </div>
+
+                  {locked ? (
+                    <div className="text-xs text-amber-400 flex items-center gap-1">
+                      <Lock size={11} /> Position locked at ({Math.round(friend.x)}, {Math.round(friend.y)}) - only details update
+                    </div>
+                  ) : (
+                    <div className="text-xs font-mono text-slate-400 flex items-center gap-2">
+                      <span>({Math.round(friend.x)}, {Math.round(friend.y)})</span>
+                      <ArrowRight size={12} className="text-slate-500" />
+                      <span className="text-white">({Math.round(result.x)}, {Math.round(result.y)})</span>
+                      <span className={distance >= 15 ? 'text-yellow-400' : 'text-slate-500'}>
+                        Δ {distance.toFixed(1)}
+                      </span>
+                    </div>
+                  )}
+
+                  {summaryChanged && (
+                    <div className="text-xs">
+                      <span className="text-slate-500 line-through">{friend.summary}</span>
+                      <span className="text-slate-300 ml-2">{result.summary}</span>
+                    </div>
+                  )}
+                </div>
+              </button>
+            );
+          })
+        )}
+      </div>
+
+      <div className="p-4 border-t border-slate-800 bg-slate-900/50">
+        <div className="flex gap-3">
+          <button
+            onClick={onDiscard}
+            className="flex-1 py-2.5 border border-slate-700 text-slate-300 rounded-xl hover:bg-slate-800 transition-colors"
+          >
+            Discard
+          </button>
+          <button
+            onClick={() => onApply(acceptedIds)}
+            disabled={acceptedIds.length === 0}
+            className="flex-1 py-2.5 border border-purple-500/50 text-purple-300 rounded-xl hover:bg-purple-500/10 transition-colors disabled:opacity-50"
+          >
+            Apply ({acceptedIds.length})
+          </button>
+          <button
+            onClick={() => onApply(rows.map((row) => row.friend.id))}
+            disabled={rows.length === 0}
+            className="flex-1 py-2.5 rounded-xl font-semibold text-white bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 flex items-center justify-center gap-2 disabled:opacity-50"
+          >
+            <Check size={16} /> Apply All
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
 /**
  * RecalculateModal - Multi-select friends for recalculation
+ * @param {Array} props.groups - Friend groups; picking one selects its members
+ * @param {Array|null} props.review - Results awaiting approval ({ id, x, y, icon, summary, ... })
+ * @param {Function} props.onApplyReview - Apply results for the given friend ids
+ * @param {Function} props.onDiscardReview - Drop all pending results
+ * @param {Function} props.onUnlockFriend - Clear a friend's manual position lock
  */
 export default function RecalculateModal({
   isOpen,
   onClose,
   friends,
+  groups = [],
   loading,
   onRecalculate,
-  progress = null // { processed, total, current }
+  onCancel,
+  progress = null, // { processed, total, current }
+  review = null,
+  onApplyReview,
+  onDiscardReview,
+  onUnlockFriend
 }) {
   const [selectedIds, setSelectedIds] = useState(new Set());
 
@@ -51,12 +185,56 @@ export default function RecalculateModal({
     }
   };
 
+  // Adds the group's members, or removes them when all are already selected
+  const selectGroup = (group) => {
+    const memberIds = friends.filter((f) => group.memberIds.includes(f.id)).map((f) => f.id);
+    const allIn = memberIds.every((id) => selectedIds.has(id));
+    const newSelected = new Set(selectedIds);
+    memberIds.forEach((id) => (allIn ? newSelected.delete(id) : newSelected.add(id)));
+    setSelectedIds(newSelected);
+  };
+
   const handleRecalculate = () => {
     const selectedFriends = friends.filter(f => selectedIds.has(f.id));
     onRecalculate(selectedFriends);
   };
 
+  if (review) {
+    const rows = review
+      .map((result) => ({ friend: friends.find((f) => f.id === result.id), result }))
+      .filter((row) => row.friend);
+
+    // Docked to the side without a backdrop so the ghost preview stays visible
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-end p-4 pointer-events-none">
+        <motion.div
+          initial={{ opacity: 0, x: 40 }}
+          animate={{ opacity: 1, x: 0 }}
+          exit={{ opacity: 0, x: 40 }}
+          className="pointer-events-auto bg-slate-900 w-full max-w-lg rounded-2xl border border-slate-700 shadow-2xl overflow-hidden flex flex-col max-h-[80vh]"
+        >
+          <div className="p-5 border-b border-slate-800 flex justify-between items-center">
+            <div>
+              <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                <RefreshCw className="text-purple-400" size={20} />
+                Review Changes
+              </h2>
+              <p className="text-slate-400 text-xs mt-1">
+                Nothing is applied yet. Proposed moves are shown on the graph.
+              </p>
+            </div>
+            <button onClick={onDiscardReview} className="text-slate-400 hover:text-white">
+              <X size={20} />
+            </button>
+          </div>
+          <ReviewStep rows={rows} onApply={onApplyReview} onDiscard={onDiscardReview} />
+        </motion.div>
+      </div>
+    );
+  }
+
   const allSelected = selectedIds.size === friends.length && friends.length > 0;
+  const lockedCount = friends.filter((f) => selectedIds.has(f.id) && f.positionLocked).length;
   const progressPercent = progress ? Math.round((progress.processed / progress.total) * 100) : 0;
 
   return (
@@ -76,7 +254,7 @@ export default function RecalculateModal({
             </h2>
             <p className="text-slate-400 text-xs mt-1">
               {selectedIds.size > 5 
-                ? `Processing in batches of 3 (${Math.ceil(selectedIds.size / 3)} batches)`
+                ? 'Requests are rate-limited and retried automatically'
                 : 'Select friends to re-analyze with AI'
               }
             </p>
@@ -135,6 +313,26 @@ export default function RecalculateModal({
               )}
               Select All ({friends.length} friends)
             </button>
+            {groups.length > 0 && (
+              <div className="flex flex-wrap gap-1.5 mt-2">
+                {groups.map((group) => (
+                  <button
+                    key={group.id}
+                    onClick={() => selectGroup(group)}
+                    className="px-2 py-0.5 rounded-full border text-xs text-slate-300 hover:text-white hover:bg-slate-800 transition-colors"
+                    style={{ borderColor: group.color }}
+                    title={`Select ${group.name}`}
+                  >
+                    {group.name}
+                  </button>
+                ))}
+              </div>
+            )}
+            {lockedCount > 0 && (
+              <p className="text-xs text-amber-400/80 mt-1 flex items-center gap-1">
+                <Lock size={11} /> {lockedCount} locked friend{lockedCount > 1 ? 's keep their' : ' keeps its'} position; only details are refreshed
+              </p>
+            )}
           </div>
         )}
 
@@ -187,9 +385,22 @@ export default function RecalculateModal({
                       {friend.name}
                       {isProcessing && <span className="text-purple-400 ml-2 text-xs">analyzing...</span>}
                     </div>
-                    <div className="text-xs text-slate-500 flex gap-3">
+                    <div className="text-xs text-slate-500 flex items-center gap-3">
                       <span>X: {Math.round(friend.x)}</span>
                       <span>Y: {Math.round(friend.y)}</span>
+                      {friend.positionLocked && (
+                        <span
+                          role="button"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            if (!loading) onUnlockFriend?.(friend.id);
+                          }}
+                          className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-amber-500/10 border border-amber-500/30 text-amber-400 hover:bg-amber-500/20"
+                          title="Position was set by hand and won't move. Click to unlock."
+                        >
+                          <Lock size={10} /> Locked
+                        </span>
+                      )}
                     </div>
                   </div>
 
@@ -207,11 +418,14 @@ export default function RecalculateModal({
         <div className="p-4 border-t border-slate-800 bg-slate-900/50">
           <div className="flex gap-3">
             <button
-              onClick={onClose}
-              disabled={loading}
-              className="flex-1 py-2.5 border border-slate-700 text-slate-300 rounded-xl hover:bg-slate-800 transition-colors disabled:opacity-50"
+              onClick={loading ? onCancel : onClose}
+              className={`flex-1 py-2.5 border rounded-xl transition-colors ${
+                loading
+                  ? 'border-red-500/50 text-red-400 hover:bg-red-500/10'
+                  : 'border-slate-700 text-slate-300 hover:bg-slate-800'
+              }`}
             >
-              {loading ? 'Please Wait' : 'Cancel'}
+              {loading ? 'Stop' : 'Cancel'}
             </button>
             <button
               onClick={handleRecalculate}
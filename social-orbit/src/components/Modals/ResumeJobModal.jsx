@@ -0,0 +1,87 @@
+/**
+ * ResumeJobModal Component
+ * Offers to continue a bulk import or recalculation that was interrupted
+ */
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { History, Play, Trash2 } from 'lucide-react';
+import { getJobCounts, JOB_LABELS } from '../../services/jobQueue';
+
+/**
+ * ResumeJobModal - Resume or discard an unfinished job
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Object} props.job - Stored job (see services/jobQueue)
+ * @param {Function} props.onResume - Continue processing pending items
+ * @param {Function} props.onDiscard - Drop the job and its unsaved results
+ */
+export default function ResumeJobModal({
+  isOpen,
+  job,
+  onResume,
+  onDiscard
+}) {
+  if (!isOpen || !job) return null;
+
+  const counts = getJobCounts(job);
+  const label = JOB_LABELS[job.type] || 'Job';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.9 }}
+        className="bg-slate-900 w-full max-w-md rounded-2xl border border-slate-700 shadow-2xl overflow-hidden"
+      >
+        {/* Header */}
+        <div className="p-5 border-b border-slate-800">
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <History className="text-purple-400" size={20} />
+            Unfinished {label}
+          </h2>
+          <p className="text-slate-400 text-xs mt-1">
+            Started {new Date(job.createdAt).toLocaleString()}, interrupted before it finished.
+          </p>
+        </div>
+
+        {/* Counts */}
+        <div className="p-5 grid grid-cols-3 gap-3 text-center">
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-green-400">{counts.done}</div>
+            <div className="text-xs text-slate-500">Done</div>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-red-400">{counts.failed}</div>
+            <div className="text-xs text-slate-500">Failed</div>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className="text-2xl font-bold text-blue-400">{counts.pending}</div>
+            <div className="text-xs text-slate-500">Pending</div>
+          </div>
+        </div>
+
+        <p className="px-5 text-xs text-slate-500">
+          Resuming keeps the finished results and only analyzes the {counts.pending} pending friend{counts.pending === 1 ? '' : 's'}.
+        </p>
+
+        {/* Footer */}
+        <div className="p-4 mt-4 border-t border-slate-800 bg-slate-900/50 flex gap-3">
+          <button
+            onClick={onDiscard}
+            className="flex-1 py-2.5 border border-slate-700 text-slate-300 rounded-xl hover:bg-slate-800 transition-colors flex items-center justify-center gap-2"
+          >
+            <Trash2 size={14} /> Discard
+          </button>
+          <button
+            onClick={onResume}
+            className="flex-[2] py-2.5 rounded-xl font-bold text-white bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 transition-all flex items-center justify-center gap-2"
+          >
+            <Play size={16} /> Resume
+          </button>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -1,11 +1,16 @@
 /**
  * SettingsModal Component
- * Settings dialog for API key and mock mode
+ * Settings dialog for LLM provider, API key, mock mode, contact decay, reminders
+ * and custom fields
  */
 
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Settings, X, Sparkles, Lock, Key as KeyIcon, Plus, Save } from 'lucide-react';
+import { Settings, X, Sparkles, Lock, Key as KeyIcon, Plus, Save, Server, Hourglass, BellRing } from 'lucide-react';
+import { LLM_PROVIDERS, resolveProviderConfig } from '../../constants/models';
+import { DEFAULT_DECAY_SETTINGS, DECAY_HALF_LIFE_RANGE } from '../../constants/decay';
+import { DEFAULT_REMINDER_SETTINGS, REMINDER_ZONES, CADENCE_OPTIONS_DAYS } from '../../constants/reminders';
+import CustomFieldSettings from './CustomFieldSettings';
 
 /**
  * SettingsModal - Settings dialog
@@ -16,6 +21,14 @@ import { Settings, X, Sparkles, Lock, Key as KeyIcon, Plus, Save } from 'lucide-
  * @param {Function} props.onApiKeyChange - Update API key
  * @param {boolean} props.useMockMode - Whether mock mode is enabled
  * @param {Function} props.onMockModeChange - Toggle mock mode
+ * @param {Object} props.provider - Active LLM provider config { id, baseUrl, model }
+ * @param {Function} props.onProviderChange - Update LLM provider config
+ * @param {Object} props.decaySettings - Contact decay { enabled, halfLifeDays }
+ * @param {Function} props.onDecaySettingsChange - Update contact decay settings
+ * @param {Object} props.reminderSettings - Reach-out reminders { enabled, zoneCadenceDays }
+ * @param {Function} props.onReminderSettingsChange - Update reminder settings
+ * @param {Array} props.customFields - Custom field definitions
+ * @param {Function} props.onCustomFieldsChange - Update custom field definitions
  * @param {Function} props.onSave - Save settings
  * @param {Function} props.onClearApiKey - Clear API key
  */
@@ -26,11 +39,41 @@ export default function SettingsModal({
   onApiKeyChange,
   useMockMode,
   onMockModeChange,
+  provider,
+  onProviderChange,
+  decaySettings = DEFAULT_DECAY_SETTINGS,
+  onDecaySettingsChange,
+  reminderSettings = DEFAULT_REMINDER_SETTINGS,
+  onReminderSettingsChange,
+  customFields = [],
+  onCustomFieldsChange,
   onSave,
   onClearApiKey
 }) {
   if (!isOpen) return null;
 
+  const providerConfig = resolveProviderConfig(provider);
+  const providerDef = LLM_PROVIDERS[providerConfig.id];
+
+  const setZoneCadence = (zoneId, value) => {
+    onReminderSettingsChange({
+      ...reminderSettings,
+      zoneCadenceDays: { ...reminderSettings.zoneCadenceDays, [zoneId]: value ? Number(value) : null }
+    });
+  };
+
+  const selectProvider = (id) => {
+    onProviderChange({
+      id,
+      baseUrl: LLM_PROVIDERS[id].defaultBaseUrl,
+      model: LLM_PROVIDERS[id].defaultModel
+    });
+  };
+
+  const updateProviderField = (field, value) => {
+    onProviderChange({ ...providerConfig, [field]: value });
+  };
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
       <motion.div
@@ -39,7 +82,7 @@ export default function SettingsModal({
         exit={{ opacity: 0, scale: 0.9 }}
         className="bg-slate-900 w-full max-w-md rounded-2xl border border-slate-700 shadow-2xl overflow-hidden"
       >
-        <div className="p-6">
+        <div className="p-6 max-h-[90vh] overflow-y-auto modern-scrollbar">
           {/* Header */}
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-xl font-bold text-white flex items-center gap-2">
@@ -87,17 +130,68 @@ export default function SettingsModal({
               </button>
             </div>
 
+            {/* Provider Selection */}
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-2 flex items-center gap-2">
+                <Server size={14} className="text-purple-400" /> LLM Provider
+              </label>
+              <div className="grid grid-cols-3 gap-2">
+                {Object.values(LLM_PROVIDERS).map((p) => (
+                  <button
+                    key={p.id}
+                    onClick={() => selectProvider(p.id)}
+                    disabled={useMockMode}
+                    className={`py-2 px-2 rounded-lg border text-xs font-medium transition-colors disabled:opacity-50 ${
+                      providerConfig.id === p.id
+                        ? 'bg-purple-500/20 border-purple-500 text-purple-300'
+                        : 'bg-slate-800 border-slate-700 text-slate-400 hover:text-white'
+                    }`}
+                    title={p.description}
+                  >
+                    {p.label}
+                  </button>
+                ))}
+              </div>
+              <p className="mt-1 text-[10px] text-slate-500">{providerDef.description}</p>
+
+              {providerDef.configurableBaseUrl && (
+                <div className="mt-3">
+                  <label className="block text-xs font-medium text-slate-400 mb-1">Base URL</label>
+                  <input
+                    type="text"
+                    value={providerConfig.baseUrl}
+                    onChange={(e) => updateProviderField('baseUrl', e.target.value)}
+                    placeholder={providerDef.defaultBaseUrl}
+                    disabled={useMockMode}
+                    className="w-full bg-slate-950 border border-slate-700 rounded-lg p-2 text-sm text-white focus:border-purple-500 outline-none disabled:text-slate-600"
+                  />
+                </div>
+              )}
+
+              <div className="mt-3">
+                <label className="block text-xs font-medium text-slate-400 mb-1">Model</label>
+                <input
+                  type="text"
+                  value={providerConfig.model}
+                  onChange={(e) => updateProviderField('model', e.target.value)}
+                  placeholder={providerDef.defaultModel}
+                  disabled={useMockMode}
+                  className="w-full bg-slate-950 border border-slate-700 rounded-lg p-2 text-sm text-white focus:border-purple-500 outline-none disabled:text-slate-600"
+                />
+              </div>
+            </div>
+
             {/* API Key Input */}
             <div>
               <label className="block text-sm font-medium text-slate-300 mb-2">
-                OpenRouter API Key
+                {providerDef.label} API Key{!providerDef.requiresApiKey && ' (optional)'}
               </label>
               <div className="flex gap-2">
                 <input
                   type="password"
                   value={apiKey}
                   onChange={(e) => onApiKeyChange(e.target.value)}
-                  placeholder="sk-or-..."
+                  placeholder={providerDef.keyPlaceholder}
                   className={`flex-1 bg-slate-950 border rounded-lg p-3 text-white focus:border-purple-500 outline-none ${
                     useMockMode
                       ? 'border-slate-800 text-slate-600 cursor-not-allowed'
@@ -127,18 +221,136 @@ export default function SettingsModal({
             </div>
 
             {/* Instructions */}
-            <div className="bg-slate-800/50 p-3 rounded text-xs text-slate-400 space-y-2">
-              <p className="flex gap-2 items-center">
-                <KeyIcon size={14} /> 1. Go to <b>openrouter.ai</b> and sign up.
-              </p>
-              <p className="flex gap-2 items-center">
-                <Plus size={14} /> 2. Create a <b>Free API Key</b>.
-              </p>
-              <p className="flex gap-2 items-center">
-                <Save size={14} /> 3. Paste it here and click Save.
-              </p>
+            {providerConfig.id === 'openrouter' && (
+              <div className="bg-slate-800/50 p-3 rounded text-xs text-slate-400 space-y-2">
+                <p className="flex gap-2 items-center">
+                  <KeyIcon size={14} /> 1. Go to <b>openrouter.ai</b> and sign up.
+                </p>
+                <p className="flex gap-2 items-center">
+                  <Plus size={14} /> 2. Create a <b>Free API Key</b>.
+                </p>
+                <p className="flex gap-2 items-center">
+                  <Save size={14} /> 3. Paste it here and click Save.
+                </p>
+              </div>
+            )}
+
+            {/* Contact Decay */}
+            <div className="bg-slate-800 p-3 rounded-lg border border-slate-700 space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <div
+                    className={`p-2 rounded-full ${
+                      decaySettings.enabled
+                        ? 'bg-blue-500/20 text-blue-400'
+                        : 'bg-slate-700 text-slate-400'
+                    }`}
+                  >
+                    <Hourglass size={18} />
+                  </div>
+                  <div>
+                    <div className="text-sm font-medium text-white">Contact Decay</div>
+                    <div className="text-xs text-slate-400">
+                      Drift Time Gap outward when logged contact lapses
+                    </div>
+                  </div>
+                </div>
+                <button
+                  onClick={() => onDecaySettingsChange({ ...decaySettings, enabled: !decaySettings.enabled })}
+                  className={`w-12 h-6 rounded-full p-1 transition-colors ${
+                    decaySettings.enabled ? 'bg-purple-600' : 'bg-slate-700'
+                  }`}
+                >
+                  <div
+                    className={`w-4 h-4 bg-white rounded-full transition-transform ${
+                      decaySettings.enabled ? 'translate-x-6' : 'translate-x-0'
+                    }`}
+                  />
+                </button>
+              </div>
+
+              {decaySettings.enabled && (
+                <div>
+                  <label className="flex justify-between text-xs font-medium text-slate-400 mb-1">
+                    <span>Half-life</span>
+                    <span className="text-white">{decaySettings.halfLifeDays} days</span>
+                  </label>
+                  <input
+                    type="range"
+                    min={DECAY_HALF_LIFE_RANGE.min}
+                    max={DECAY_HALF_LIFE_RANGE.max}
+                    value={decaySettings.halfLifeDays}
+                    onChange={(e) => onDecaySettingsChange({ ...decaySettings, halfLifeDays: Number(e.target.value) })}
+                    className="w-full accent-purple-500"
+                  />
+                  <p className="text-[10px] text-slate-500">
+                    After this many overdue days, a friend is halfway to the outer edge. Applied on unlock to friends with a journal.
+                  </p>
+                </div>
+              )}
             </div>
 
+            {/* Reach-out Reminders */}
+            <div className="bg-slate-800 p-3 rounded-lg border border-slate-700 space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <div
+                    className={`p-2 rounded-full ${
+                      reminderSettings.enabled
+                        ? 'bg-amber-500/20 text-amber-400'
+                        : 'bg-slate-700 text-slate-400'
+                    }`}
+                  >
+                    <BellRing size={18} />
+                  </div>
+                  <div>
+                    <div className="text-sm font-medium text-white">Reach-out Reminders</div>
+                    <div className="text-xs text-slate-400">
+                      Flag friends you haven't contacted in a while
+                    </div>
+                  </div>
+                </div>
+                <button
+                  onClick={() => onReminderSettingsChange({ ...reminderSettings, enabled: !reminderSettings.enabled })}
+                  className={`w-12 h-6 rounded-full p-1 transition-colors ${
+                    reminderSettings.enabled ? 'bg-purple-600' : 'bg-slate-700'
+                  }`}
+                >
+                  <div
+                    className={`w-4 h-4 bg-white rounded-full transition-transform ${
+                      reminderSettings.enabled ? 'translate-x-6' : 'translate-x-0'
+                    }`}
+                  />
+                </button>
+              </div>
+
+              {reminderSettings.enabled && (
+                <div className="space-y-2">
+                  {REMINDER_ZONES.map((zone) => (
+                    <label key={zone.id} className="flex items-center justify-between text-xs font-medium text-slate-400">
+                      <span>{zone.label}</span>
+                      <select
+                        value={reminderSettings.zoneCadenceDays[zone.id] ?? ''}
+                        onChange={(e) => setZoneCadence(zone.id, e.target.value)}
+                        className="bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs text-white focus:border-purple-500 outline-none"
+                      >
+                        <option value="">No limit</option>
+                        {CADENCE_OPTIONS_DAYS.map((days) => (
+                          <option key={days} value={days}>Every {days} days</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <p className="text-[10px] text-slate-500">
+                    Zones follow closeness (X). Friends are reminded after twice their usual contact interval (their frequency answer, or their Communication score if placed by hand), at most the zone's longest gap. A friend's own cadence (set in their details) takes precedence.
+                  </p>
+                </div>
+              )}
+            </div>
+
+            {/* Custom Fields */}
+            <CustomFieldSettings fields={customFields} onChange={onCustomFieldsChange} />
+
             {/* Save button */}
             <button
               onClick={onSave}
@@ -0,0 +1,142 @@
+/**
+ * TrashModal Component
+ * Deleted friends, restorable until purged by hand or by retention
+ */
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Trash2, X, RotateCcw, Clock } from 'lucide-react';
+import { TRASH_RETENTION_OPTIONS_DAYS, DEFAULT_TRASH_SETTINGS } from '../../constants/trash';
+import { getDaysUntilPurge } from '../../services/trash';
+import { ICON_MAP, DEFAULT_ICON } from '../../constants/icons';
+
+/**
+ * TrashModal - Restore or purge deleted friends
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether modal is open
+ * @param {Function} props.onClose - Close the modal
+ * @param {Array} props.items - Trashed friends ({ ...friend, removedAt })
+ * @param {Object} props.settings - { retentionDays }
+ * @param {Function} props.onSettingsChange - Update retention
+ * @param {Function} props.onRestore - Put a friend back on the graph
+ * @param {Function} props.onPurge - Permanently delete one friend
+ * @param {Function} props.onEmpty - Permanently delete everything in the trash
+ */
+export default function TrashModal({
+  isOpen,
+  onClose,
+  items,
+  settings = DEFAULT_TRASH_SETTINGS,
+  onSettingsChange,
+  onRestore,
+  onPurge,
+  onEmpty
+}) {
+  if (!isOpen) return null;
+
+  const sorted = [...items].sort((a, b) => b.removedAt - a.removedAt);
+
+  const confirmPurge = (item) => {
+    if (window.confirm(`Permanently delete ${item.name}? This cannot be undone.`)) {
+      onPurge(item.id);
+    }
+  };
+
+  const confirmEmpty = () => {
+    if (window.confirm(`Permanently delete all ${items.length} friends in the trash? This cannot be undone.`)) {
+      onEmpty();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.9 }}
+        className="bg-slate-900 w-full max-w-lg rounded-2xl border border-slate-700 shadow-2xl overflow-hidden flex flex-col max-h-[85vh]"
+      >
+        {/* Header */}
+        <div className="p-5 border-b border-slate-800 flex justify-between items-start">
+          <div>
+            <h2 className="text-xl font-bold text-white flex items-center gap-2">
+              <Trash2 className="text-red-400" size={20} />
+              Trash
+            </h2>
+            <p className="text-slate-400 text-xs mt-1">
+              Deleted friends keep their description, journal and history until purged.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-slate-500 hover:text-white">
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Retention */}
+        <div className="px-5 py-3 border-b border-slate-800 flex items-center justify-between text-xs text-slate-400">
+          <span className="flex items-center gap-2"><Clock size={14} /> Delete automatically after</span>
+          <select
+            value={settings.retentionDays}
+            onChange={(e) => onSettingsChange({ ...settings, retentionDays: Number(e.target.value) })}
+            className="bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs text-white focus:border-purple-500 outline-none"
+          >
+            {TRASH_RETENTION_OPTIONS_DAYS.map((days) => (
+              <option key={days} value={days}>{days ? `${days} days` : 'Never'}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Items */}
+        <div className="flex-1 overflow-y-auto modern-scrollbar p-5 space-y-2">
+          {sorted.length === 0 ? (
+            <p className="text-sm text-slate-500 text-center py-8">Trash is empty.</p>
+          ) : (
+            sorted.map((item) => {
+              const IconComponent = ICON_MAP[item.icon] || ICON_MAP[DEFAULT_ICON];
+              const daysLeft = getDaysUntilPurge(item, settings);
+              return (
+                <div key={item.id} className="bg-slate-800/50 border border-slate-700 rounded-lg p-3 flex items-center gap-3">
+                  <div className="p-2 rounded-full bg-black/40" style={{ color: item.color || '#fff' }}>
+                    <IconComponent size={16} fill={item.color || '#fff'} className="text-slate-900" />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm text-white font-medium truncate">{item.name}</div>
+                    <div className="text-[10px] text-slate-500">
+                      Deleted {new Date(item.removedAt).toLocaleDateString()}
+                      {daysLeft !== null && ` · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => onRestore(item.id)}
+                    className="px-2 py-1.5 text-xs rounded border border-slate-700 text-slate-300 hover:bg-slate-700 flex items-center gap-1"
+                  >
+                    <RotateCcw size={12} /> Restore
+                  </button>
+                  <button
+                    onClick={() => confirmPurge(item)}
+                    className="p-1.5 text-slate-500 hover:text-red-400"
+                    title="Delete permanently"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        {/* Footer */}
+        {sorted.length > 0 && (
+          <div className="p-4 border-t border-slate-800 bg-slate-900/50">
+            <button
+              onClick={confirmEmpty}
+              className="w-full py-2 rounded-lg border border-red-500/30 text-red-400 hover:bg-red-500/10 text-sm transition-colors"
+            >
+              Empty Trash
+            </button>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+}
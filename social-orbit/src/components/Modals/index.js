@@ -6,3 +6,6 @@ export { default as SettingsModal } from './SettingsModal';
 export { default as OnboardingModal } from './OnboardingModal';
 export { default as RecalculateModal } from './RecalculateModal';
 
+export { default as ResumeJobModal } from './ResumeJobModal';
+export { default as TrashModal } from './TrashModal';
+export { default as CustomFieldSettings } from './CustomFieldSettings';
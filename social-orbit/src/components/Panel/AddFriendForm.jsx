@@ -6,6 +6,7 @@
 import React from 'react';
 import { Plus, Edit, Sparkles } from 'lucide-react';
 import { ICON_LIST } from '../../constants/icons';
+import CustomFieldInputs from './CustomFieldInputs';
 
 /**
  * AddFriendForm - Single friend add/edit form
@@ -19,6 +20,7 @@ import { ICON_LIST } from '../../constants/icons';
  * @param {boolean} props.loading - Whether analysis is in progress
  * @param {Function} props.onAnalyze - Analyze and add friend
  * @param {Function} props.onManualAdd - Add friend without analysis
+ * @param {Array} props.customFields - Custom field definitions from Settings
  */
 export default function AddFriendForm({
   formData,
@@ -29,7 +31,8 @@ export default function AddFriendForm({
   onToggleManualMode,
   loading,
   onAnalyze,
-  onManualAdd
+  onManualAdd,
+  customFields = []
 }) {
   const updateField = (field, value) => {
     onFormChange({ ...formData, [field]: value });
@@ -127,6 +130,14 @@ export default function AddFriendForm({
           />
         </div>
 
+        {/* Custom fields */}
+        <CustomFieldInputs
+          definitions={customFields}
+          values={formData.customFields}
+          onChange={(values) => updateField('customFields', values)}
+          inputClassName="w-full bg-slate-900 border border-slate-700 rounded-lg p-2.5 text-white focus:ring-2 focus:ring-purple-500 outline-none"
+        />
+
         {/* Manual mode fields */}
         {manualMode && (
           <div className="grid grid-cols-2 gap-4">
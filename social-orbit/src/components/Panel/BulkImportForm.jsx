@@ -4,7 +4,8 @@
  */
 
 import React from 'react';
-import { Plus, Trash2, Layers, Sparkles } from 'lucide-react';
+import { Plus, Trash2, Layers, Sparkles, Square } from 'lucide-react';
+import { createId } from '../../utils/ids';
 
 /**
  * BulkImportForm - Bulk friend import form
@@ -12,18 +13,22 @@ import { Plus, Trash2, Layers, Sparkles } from 'lucide-react';
  * @param {Array} props.bulkList - Array of bulk item objects
  * @param {Function} props.onUpdateList - Update the bulk list
  * @param {boolean} props.loading - Whether analysis is in progress
+ * @param {Object} props.progress - { processed, total, current } while analyzing
  * @param {Function} props.onAnalyze - Analyze all items
+ * @param {Function} props.onCancel - Stop analysis; unprocessed items stay in the list
  */
 export default function BulkImportForm({
   bulkList,
   onUpdateList,
   loading,
-  onAnalyze
+  progress = null,
+  onAnalyze,
+  onCancel
 }) {
   const addItem = () => {
     onUpdateList([
       ...bulkList,
-      { id: Date.now(), name: '', gender: 'Non-binary', age: '', description: '' }
+      { id: createId(), name: '', gender: 'Non-binary', age: '', description: '' }
     ]);
   };
 
@@ -32,7 +37,7 @@ export default function BulkImportForm({
       onUpdateList(bulkList.filter((item) => item.id !== id));
     } else {
       // Reset to empty if last item
-      onUpdateList([{ id: Date.now(), name: '', gender: 'Non-binary', age: '', description: '' }]);
+      onUpdateList([{ id: createId(), name: '', gender: 'Non-binary', age: '', description: '' }]);
     }
   };
 
@@ -124,12 +129,21 @@ export default function BulkImportForm({
 
       {/* Action buttons */}
       <div className="flex gap-3">
-        <button
-          onClick={addItem}
-          className="flex-1 py-3 border border-slate-700 hover:bg-slate-800 text-slate-300 rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
-        >
-          <Plus size={16} /> Add Another
-        </button>
+        {loading && onCancel ? (
+          <button
+            onClick={onCancel}
+            className="flex-1 py-3 border border-red-500/50 hover:bg-red-500/10 text-red-400 rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <Square size={14} /> Stop
+          </button>
+        ) : (
+          <button
+            onClick={addItem}
+            className="flex-1 py-3 border border-slate-700 hover:bg-slate-800 text-slate-300 rounded-xl font-medium transition-colors flex items-center justify-center gap-2"
+          >
+            <Plus size={16} /> Add Another
+          </button>
+        )}
         <button
           onClick={onAnalyze}
           disabled={loading || !hasValidItems}
@@ -142,7 +156,9 @@ export default function BulkImportForm({
           {loading ? (
             <>
               <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-              Processing...
+              {progress?.total
+                ? `Processing ${progress.processed}/${progress.total}...`
+                : 'Processing...'}
             </>
           ) : (
             <>
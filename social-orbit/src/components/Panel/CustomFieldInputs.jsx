@@ -0,0 +1,64 @@
+/**
+ * CustomFieldInputs Component
+ * Inputs for the user-defined fields set up in Settings
+ */
+
+import React from 'react';
+import { ExternalLink, Repeat } from 'lucide-react';
+import { setFieldValue, getLinkHref } from '../../services/customFields';
+
+const INPUT_TYPES = { text: 'text', number: 'number', date: 'date', url: 'url' };
+
+/**
+ * CustomFieldInputs - One labeled input per field definition
+ * @param {Object} props
+ * @param {Array} props.definitions - { id, label, type, options, recurring }
+ * @param {Object} props.values - Values by field ID
+ * @param {Function} props.onChange - Save the updated value map
+ * @param {string} props.inputClassName - Classes for inputs, to match the host form
+ */
+export default function CustomFieldInputs({ definitions, values = {}, onChange, inputClassName }) {
+  if (!definitions.length) return null;
+
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      {definitions.map((definition) => {
+        const value = values[definition.id] ?? '';
+        const update = (raw) => onChange(setFieldValue(values, definition, raw));
+        const isWide = definition.type === 'text' || definition.type === 'url';
+        const href = definition.type === 'url' ? getLinkHref(value) : null;
+
+        return (
+          <div key={definition.id} className={isWide ? 'col-span-2' : ''}>
+            <label className="flex items-center gap-1 text-xs font-medium text-slate-400 mb-1">
+              {definition.label || 'Untitled field'}
+              {definition.type === 'date' && definition.recurring && (
+                <span title="Repeats every year"><Repeat size={10} className="text-slate-500" /></span>
+              )}
+              {href && (
+                <a href={href} target="_blank" rel="noopener noreferrer" className="text-slate-500 hover:text-purple-400" title="Open link">
+                  <ExternalLink size={10} />
+                </a>
+              )}
+            </label>
+            {definition.type === 'select' ? (
+              <select value={value} onChange={(e) => update(e.target.value)} className={inputClassName}>
+                <option value="">—</option>
+                {definition.options.map((option) => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type={INPUT_TYPES[definition.type] || 'text'}
+                value={value}
+                onChange={(e) => update(e.target.value)}
+                className={inputClassName}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * FailedItemsList Component
+ * "Needs attention" queue for analyses that failed during bulk import or
+ * recalculation. Failed items are never plotted until resolved here.
+ */
+
+import React from 'react';
+import { AlertTriangle, RotateCw, MapPin, X } from 'lucide-react';
+import { JOB_TYPES } from '../../services/jobQueue';
+
+/**
+ * FailedItemsList - Review queue with retry / place / discard per item
+ * @param {Object} props
+ * @param {Array} props.items - [{ id, type, input, error, failedAt }]
+ * @param {string|number|null} props.retryingId - Item currently being retried
+ * @param {Function} props.onRetry - Re-run the analysis for an item
+ * @param {Function} props.onPlace - Place the friend by hand instead
+ * @param {Function} props.onDiscard - Drop the item from the queue
+ */
+export default function FailedItemsList({
+  items,
+  retryingId,
+  onRetry,
+  onPlace,
+  onDiscard
+}) {
+  if (!items.length) return null;
+
+  return (
+    <div className="bg-red-500/5 border border-red-500/20 rounded-lg p-4 space-y-3">
+      <h3 className="text-sm font-semibold text-red-300 flex items-center gap-2">
+        <AlertTriangle size={14} /> Needs attention ({items.length})
+      </h3>
+
+      <div className="space-y-2 max-h-64 overflow-y-auto modern-scrollbar pr-1">
+        {items.map((item) => {
+          const isRecalc = item.type === JOB_TYPES.RECALCULATE;
+          const isRetrying = retryingId === item.id;
+          return (
+            <div key={item.id} className="bg-slate-900 border border-slate-700 rounded-lg p-3">
+              <div className="flex justify-between items-start gap-2">
+                <div className="min-w-0">
+                  <div className="text-sm text-white font-medium truncate">{item.input.name}</div>
+                  <div className="text-[10px] uppercase tracking-wider text-slate-500">
+                    {isRecalc ? 'Recalculation failed' : 'Analysis failed'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onDiscard(item)}
+                  disabled={isRetrying}
+                  className="text-slate-500 hover:text-red-400 disabled:opacity-50"
+                  title={isRecalc ? 'Dismiss (keep current position)' : 'Discard'}
+                >
+                  <X size={14} />
+                </button>
+              </div>
+
+              <p className="text-xs text-red-300/80 mt-1 break-words">{item.error}</p>
+
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => onRetry(item)}
+                  disabled={retryingId !== null}
+                  className="flex-1 py-1.5 text-xs rounded border border-slate-700 text-slate-300 hover:bg-slate-800 disabled:opacity-50 flex items-center justify-center gap-1"
+                >
+                  <RotateCw size={12} className={isRetrying ? 'animate-spin' : ''} />
+                  {isRetrying ? 'Retrying...' : 'Retry'}
+                </button>
+                <button
+                  onClick={() => onPlace(item)}
+                  disabled={isRetrying}
+                  className="flex-1 py-1.5 text-xs rounded border border-slate-700 text-slate-300 hover:bg-slate-800 disabled:opacity-50 flex items-center justify-center gap-1"
+                >
+                  <MapPin size={12} /> Place manually
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
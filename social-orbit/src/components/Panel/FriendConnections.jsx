@@ -0,0 +1,150 @@
+/**
+ * FriendConnections Component
+ * Edges between the selected friend and other friends, with a quick-add form
+ */
+
+import React, { useState } from 'react';
+import { Share2, ChevronDown, Plus, X } from 'lucide-react';
+import {
+  CONNECTION_TYPES,
+  CONNECTION_STRENGTHS,
+  DEFAULT_CONNECTION_TYPE,
+  DEFAULT_CONNECTION_STRENGTH
+} from '../../constants/connections';
+import { getConnectionsFor, getBridgedGroupCount, areConnected } from '../../services/connections';
+
+/**
+ * FriendConnections - Collapsible connections section for FriendDetail
+ * @param {Object} props
+ * @param {Object} props.friend - Selected friend
+ * @param {Array} props.friends - All friends (connection targets)
+ * @param {Array} props.connections - All connections
+ * @param {Function} props.onAdd - Add { a, b, type, strength, note }
+ * @param {Function} props.onRemove - Remove a connection by ID
+ */
+export default function FriendConnections({ friend, friends, connections, onAdd, onRemove }) {
+  const [entry, setEntry] = useState({ otherId: '', type: DEFAULT_CONNECTION_TYPE, strength: DEFAULT_CONNECTION_STRENGTH, note: '' });
+
+  const ownConnections = getConnectionsFor(connections, friend.id);
+  const candidates = friends
+    .filter((f) => f.id !== friend.id && !areConnected(connections, friend.id, f.id))
+    .sort((x, y) => x.name.localeCompare(y.name));
+  const bridgedGroups = getBridgedGroupCount(connections, friend.id);
+
+  const addConnection = (e) => {
+    e.preventDefault();
+    if (!entry.otherId) return;
+    onAdd({ a: friend.id, b: entry.otherId, type: entry.type, strength: entry.strength, note: entry.note });
+    setEntry({ ...entry, otherId: '', note: '' });
+  };
+
+  const inputClass = 'bg-slate-950 border border-slate-700 rounded px-2 py-1.5 text-xs text-white focus:border-purple-500 outline-none';
+
+  return (
+    <details className="group bg-slate-900/30 rounded-lg border border-slate-700/50 open:bg-slate-900/50 transition-all duration-200">
+      <summary className="flex items-center justify-between p-3 cursor-pointer select-none text-sm font-semibold text-slate-300">
+        <div className="flex items-center gap-2">
+          <Share2 size={14} className="text-cyan-400" /> Connections
+          {ownConnections.length > 0 && (
+            <span className="text-xs font-normal text-slate-500">({ownConnections.length})</span>
+          )}
+          {bridgedGroups >= 2 && (
+            <span className="text-[10px] font-normal px-1.5 py-0.5 rounded bg-cyan-500/10 text-cyan-300">
+              Bridges {bridgedGroups} groups
+            </span>
+          )}
+        </div>
+        <div className="text-slate-500 group-open:rotate-180 transition-transform">
+          <ChevronDown size={16} />
+        </div>
+      </summary>
+
+      <div className="px-3 pb-3 pt-0 space-y-3">
+        {/* Quick add */}
+        {candidates.length > 0 ? (
+          <form onSubmit={addConnection} className="space-y-2">
+            <div className="flex gap-2">
+              <select
+                value={entry.otherId}
+                onChange={(e) => setEntry({ ...entry, otherId: e.target.value })}
+                className={`${inputClass} flex-1 min-w-0`}
+                required
+              >
+                <option value="">Connect with...</option>
+                {candidates.map((f) => (
+                  <option key={f.id} value={f.id}>{f.name}</option>
+                ))}
+              </select>
+              <select
+                value={entry.type}
+                onChange={(e) => setEntry({ ...entry, type: e.target.value })}
+                className={inputClass}
+              >
+                {CONNECTION_TYPES.map((type) => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+              </select>
+              <select
+                value={entry.strength}
+                onChange={(e) => setEntry({ ...entry, strength: Number(e.target.value) })}
+                className={inputClass}
+                title="Strength"
+              >
+                {CONNECTION_STRENGTHS.map((s) => (
+                  <option key={s.value} value={s.value}>{s.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                placeholder='Note, e.g. "siblings" (optional)'
+                value={entry.note}
+                onChange={(e) => setEntry({ ...entry, note: e.target.value })}
+                className={`${inputClass} flex-1`}
+              />
+              <button
+                type="submit"
+                className="px-3 rounded bg-purple-600 hover:bg-purple-500 text-white text-xs flex items-center gap-1"
+              >
+                <Plus size={12} /> Link
+              </button>
+            </div>
+          </form>
+        ) : (
+          ownConnections.length === 0 && (
+            <p className="text-xs text-slate-500">Add more friends to connect them to each other.</p>
+          )
+        )}
+
+        {/* Existing */}
+        {ownConnections.length > 0 && (
+          <ul className="space-y-1.5">
+            {ownConnections.map((connection) => {
+              const other = friends.find((f) => f.id === connection.otherId);
+              const type = CONNECTION_TYPES.find((t) => t.id === connection.type);
+              const strength = CONNECTION_STRENGTHS.find((s) => s.value === connection.strength);
+              return (
+                <li key={connection.id} className="flex items-center gap-2 text-xs group/entry">
+                  <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: type?.color }} />
+                  <div className="flex-1 min-w-0 text-slate-300">
+                    {other?.name || <span className="italic text-slate-500">In trash</span>}
+                    <span className="text-slate-500"> · {type?.label || connection.type}, {strength?.label.toLowerCase()}</span>
+                    {connection.note && <span className="text-slate-400"> · {connection.note}</span>}
+                  </div>
+                  <button
+                    onClick={() => onRemove(connection.id)}
+                    className="text-slate-600 hover:text-red-400 opacity-0 group-hover/entry:opacity-100 transition-opacity"
+                    title="Remove connection"
+                  >
+                    <X size={12} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </details>
+  );
+}
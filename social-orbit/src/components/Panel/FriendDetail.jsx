@@ -3,15 +3,21 @@
  * Detailed view of a selected friend
  */
 
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { 
   X, Edit, Trash2, Sparkles, MessageCircle, 
-  ChevronDown, Info, Palette 
+  ChevronDown, Info, Palette, BellRing, Camera, ImageOff 
 } from 'lucide-react';
 import { ICON_MAP, DEFAULT_ICON } from '../../constants/icons';
+import { CADENCE_OPTIONS_DAYS } from '../../constants/reminders';
 import IconPicker from './IconPicker';
 import ColorPicker from './ColorPicker';
+import ScoreBreakdown from './ScoreBreakdown';
+import InteractionJournal from './InteractionJournal';
+import FriendConnections from './FriendConnections';
+import FriendTags from './FriendTags';
+import CustomFieldInputs from './CustomFieldInputs';
 
 /**
  * Render an icon by name
@@ -27,9 +33,22 @@ function renderIcon(iconName, size = 32, color = 'currentColor') {
  * @param {Object} props.friend - Selected friend object
  * @param {Function} props.onClose - Close detail view
  * @param {Function} props.onEdit - Start editing this friend
- * @param {Function} props.onDelete - Delete this friend
+ * @param {Function} props.onDelete - Move this friend to the trash
  * @param {Function} props.onUpdateIcon - Update friend's icon
  * @param {Function} props.onUpdateColor - Update friend's color
+ * @param {Function} props.onUpdateAnswers - Save corrected extraction answers
+ * @param {Function} props.onUpdateInteractions - Save the interaction journal
+ * @param {Function} props.onUpdateReminderCadence - Set reach-out cadence in days (null = zone default, 0 = never)
+ * @param {Function} props.onUpdateTags - Save the friend's tags
+ * @param {Array} props.customFields - Custom field definitions from Settings
+ * @param {Function} props.onUpdateCustomFields - Save the friend's custom field values
+ * @param {string} props.avatar - Photo data URL, shown instead of the icon
+ * @param {Function} props.onUploadAvatar - Set the photo from a chosen image file
+ * @param {Function} props.onRemoveAvatar - Remove the photo (back to the icon)
+ * @param {Array} props.friends - All friends (connection targets, tag suggestions)
+ * @param {Array} props.connections - All friend-to-friend connections
+ * @param {Function} props.onAddConnection - Add a connection
+ * @param {Function} props.onRemoveConnection - Remove a connection by ID
  */
 export default function FriendDetail({
   friend,
@@ -37,11 +56,25 @@ export default function FriendDetail({
   onEdit,
   onDelete,
   onUpdateIcon,
-  onUpdateColor
+  onUpdateColor,
+  onUpdateAnswers,
+  onUpdateInteractions,
+  onUpdateReminderCadence,
+  onUpdateTags,
+  customFields = [],
+  onUpdateCustomFields,
+  avatar = null,
+  onUploadAvatar,
+  onRemoveAvatar,
+  friends = [],
+  connections = [],
+  onAddConnection,
+  onRemoveConnection
 }) {
   const [showIconPicker, setShowIconPicker] = useState(false);
   const [showColorPicker, setShowColorPicker] = useState(false);
   const [showInfo, setShowInfo] = useState(false);
+  const photoInputRef = useRef(null);
 
   const handleIconSelect = (icon) => {
     onUpdateIcon(icon);
@@ -53,6 +86,12 @@ export default function FriendDetail({
     setShowColorPicker(false);
   };
 
+  const handlePhotoChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (file) onUploadAvatar(file);
+  };
+
   return (
     <motion.div
       initial={{ opacity: 0, y: 20 }}
@@ -70,7 +109,11 @@ export default function FriendDetail({
                 className="p-3 bg-slate-900 rounded-xl border border-slate-700 hover:border-purple-500/50 transition-colors group relative"
                 title="Change Icon"
               >
-                {renderIcon(friend.icon, 32, friend.color)}
+                {avatar ? (
+                  <img src={avatar} alt={friend.name} className="w-8 h-8 rounded-full object-cover" />
+                ) : (
+                  renderIcon(friend.icon, 32, friend.color)
+                )}
                 <div className="absolute -bottom-1 -right-1 bg-slate-800 rounded-full p-1 border border-slate-600 opacity-0 group-hover:opacity-100 transition-opacity">
                   <Edit size={10} className="text-white" />
                 </div>
@@ -84,6 +127,33 @@ export default function FriendDetail({
               >
                 <Palette size={14} style={{ color: friend.color || '#fff' }} />
               </button>
+
+              {/* Photo button */}
+              <div className="flex gap-1">
+                <button
+                  onClick={() => photoInputRef.current?.click()}
+                  className="flex-1 p-1.5 bg-slate-900 rounded-lg border border-slate-700 hover:border-purple-500/50 flex justify-center items-center text-slate-400"
+                  title={avatar ? 'Change Photo' : 'Add Photo'}
+                >
+                  <Camera size={14} />
+                </button>
+                {avatar && (
+                  <button
+                    onClick={onRemoveAvatar}
+                    className="p-1.5 bg-slate-900 rounded-lg border border-slate-700 hover:border-red-500/50 flex justify-center items-center text-slate-400 hover:text-red-400"
+                    title="Remove Photo"
+                  >
+                    <ImageOff size={14} />
+                  </button>
+                )}
+              </div>
+              <input
+                ref={photoInputRef}
+                type="file"
+                accept="image/*"
+                onChange={handlePhotoChange}
+                className="hidden"
+              />
             </div>
 
             {/* Pickers */}
@@ -123,6 +193,15 @@ export default function FriendDetail({
         </div>
       </div>
 
+      {/* Tags */}
+      <div className="mb-4">
+        <FriendTags
+          tags={friend.tags}
+          suggestions={[...new Set(friends.flatMap((f) => f.tags || []))]}
+          onChange={onUpdateTags}
+        />
+      </div>
+
       {/* Scores */}
       <div className="grid grid-cols-2 gap-3 mb-6 relative">
         <div
@@ -188,6 +267,47 @@ export default function FriendDetail({
           <p className="text-xs text-slate-400">{friend.reasoning}</p>
         </div>
 
+        {/* Custom fields */}
+        <CustomFieldInputs
+          definitions={customFields}
+          values={friend.customFields}
+          onChange={onUpdateCustomFields}
+          inputClassName="w-full bg-slate-950 border border-slate-700 rounded px-2 py-1.5 text-xs text-white focus:border-purple-500 outline-none"
+        />
+
+        {/* Logged contact */}
+        <InteractionJournal interactions={friend.interactions} onChange={onUpdateInteractions} />
+
+        {/* Links to other friends */}
+        <FriendConnections
+          friend={friend}
+          friends={friends}
+          connections={connections}
+          onAdd={onAddConnection}
+          onRemove={onRemoveConnection}
+        />
+
+        {/* Reach-out cadence */}
+        <label className="flex items-center justify-between gap-2 text-sm font-semibold text-slate-300">
+          <span className="flex items-center gap-2">
+            <BellRing size={14} className="text-amber-400" /> Reach out
+          </span>
+          <select
+            value={friend.reminderCadenceDays ?? ''}
+            onChange={(e) => onUpdateReminderCadence(e.target.value === '' ? null : Number(e.target.value))}
+            className="bg-slate-950 border border-slate-700 rounded px-2 py-1 text-xs font-normal text-white focus:border-purple-500 outline-none"
+          >
+            <option value="">Zone default</option>
+            {CADENCE_OPTIONS_DAYS.map((days) => (
+              <option key={days} value={days}>Every {days} days</option>
+            ))}
+            <option value="0">Never</option>
+          </select>
+        </label>
+
+        {/* Per-factor score breakdown */}
+        <ScoreBreakdown friend={friend} onUpdateAnswers={onUpdateAnswers} />
+
         {/* Original input collapsible */}
         <details className="group bg-slate-900/30 rounded-lg border border-slate-700/50 open:bg-slate-900/50 transition-all duration-200">
           <summary className="flex items-center justify-between p-3 cursor-pointer select-none text-sm font-semibold text-slate-300">
@@ -211,7 +331,7 @@ export default function FriendDetail({
             onClick={onDelete}
             className="w-full py-2 px-4 rounded-lg border border-red-500/30 text-red-400 hover:bg-red-500/10 flex items-center justify-center gap-2 text-sm transition-colors"
           >
-            <Trash2 size={16} /> Remove from Orbit
+            <Trash2 size={16} /> Move to Trash
           </button>
         </div>
       </div>
@@ -0,0 +1,67 @@
+/**
+ * FriendTags Component
+ * Editable tag chips for a friend
+ */
+
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+import { normalizeTags } from '../../services/friendSearch';
+
+/**
+ * FriendTags - Chips with remove buttons and an input for new tags
+ * Enter or comma adds the typed tag; Backspace on an empty input removes the last.
+ * @param {Object} props
+ * @param {Array} props.tags - Current tags
+ * @param {Array} props.suggestions - Tags used elsewhere in the network
+ * @param {Function} props.onChange - Save the updated tag list
+ */
+export default function FriendTags({ tags = [], suggestions = [], onChange }) {
+  const [draft, setDraft] = useState('');
+
+  const addTag = () => {
+    const next = normalizeTags([...tags, draft]);
+    if (next.length !== tags.length) onChange(next);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    } else if (e.key === 'Backspace' && !draft && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <Tag size={14} className="text-sky-400" />
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-sky-500/10 border border-sky-500/30 text-xs text-sky-200"
+        >
+          {tag}
+          <button onClick={() => onChange(tags.filter((t) => t !== tag))} className="text-sky-400/70 hover:text-white" title="Remove tag">
+            <X size={10} />
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        list="friend-tag-suggestions"
+        placeholder={tags.length ? 'Add tag' : 'Add tags (e.g. climbing, book club)'}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => draft.trim() && addTag()}
+        className="flex-1 min-w-[6rem] bg-transparent text-xs text-white placeholder-slate-600 outline-none"
+      />
+      <datalist id="friend-tag-suggestions">
+        {suggestions.filter((tag) => !tags.includes(tag)).map((tag) => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+/**
+ * GroupsManager Component
+ * Create groups, edit their members and use them as graph filters
+ */
+
+import React, { useState } from 'react';
+import { Plus, Trash2, ChevronDown, Eye, EyeOff, CheckSquare, Square, Users } from 'lucide-react';
+import { COLORS } from '../../constants/colors';
+
+/**
+ * GroupsManager - Panel tab for groups
+ * @param {Object} props
+ * @param {Array} props.groups - { id, name, color, memberIds }
+ * @param {Array} props.friends - All friends on the graph
+ * @param {Set} props.filterIds - Groups currently used as a filter
+ * @param {Function} props.onCreate - Create a group from { name, color }
+ * @param {Function} props.onUpdate - Save a changed group
+ * @param {Function} props.onDelete - Delete a group (friends are kept)
+ * @param {Function} props.onToggleMember - Add/remove (groupId, friendId)
+ * @param {Function} props.onToggleFilter - Show only this group's members (toggle)
+ */
+export default function GroupsManager({
+  groups,
+  friends,
+  filterIds,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onToggleMember,
+  onToggleFilter
+}) {
+  const [name, setName] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Cycle through the palette, skipping white
+  const nextColor = COLORS[(groups.length % (COLORS.length - 1)) + 1];
+
+  const createGroup = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onCreate({ name, color: nextColor });
+    setName('');
+  };
+
+  const sortedFriends = [...friends].sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={createGroup} className="flex gap-2">
+        <input
+          type="text"
+          placeholder='New group, e.g. "College"'
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:border-purple-500 outline-none"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-4 rounded-lg bg-purple-600 hover:bg-purple-500 disabled:opacity-50 text-white text-sm flex items-center gap-1"
+        >
+          <Plus size={14} /> Add
+        </button>
+      </form>
+
+      {groups.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-6">
+          No groups yet. Groups are outlined on the graph and can filter it or pick friends to recalculate.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {groups.map((group) => {
+            const isExpanded = expandedId === group.id;
+            const isFiltered = filterIds.has(group.id);
+            const memberCount = friends.filter((f) => group.memberIds.includes(f.id)).length;
+            return (
+              <div key={group.id} className="bg-slate-900 border border-slate-700 rounded-lg">
+                <div className="flex items-center gap-2 p-3">
+                  <input
+                    type="color"
+                    value={group.color}
+                    onChange={(e) => onUpdate({ ...group, color: e.target.value })}
+                    className="w-5 h-5 rounded-full border-0 bg-transparent cursor-pointer flex-shrink-0"
+                    title="Group color"
+                  />
+                  <input
+                    type="text"
+                    value={group.name}
+                    onChange={(e) => onUpdate({ ...group, name: e.target.value })}
+                    className="flex-1 min-w-0 bg-transparent text-sm text-white font-medium outline-none focus:border-b focus:border-purple-500"
+                  />
+                  <span className="text-xs text-slate-500 flex items-center gap-1">
+                    <Users size={12} /> {memberCount}
+                  </span>
+                  <button
+                    onClick={() => onToggleFilter(group.id)}
+                    className={isFiltered ? 'text-purple-400' : 'text-slate-500 hover:text-white'}
+                    title={isFiltered ? 'Stop filtering' : 'Show only this group'}
+                  >
+                    {isFiltered ? <Eye size={14} /> : <EyeOff size={14} />}
+                  </button>
+                  <button
+                    onClick={() => setExpandedId(isExpanded ? null : group.id)}
+                    className={`text-slate-500 hover:text-white transition-transform ${isExpanded ? 'rotate-180' : ''}`}
+                    title="Members"
+                  >
+                    <ChevronDown size={16} />
+                  </button>
+                  <button
+                    onClick={() => onDelete(group.id)}
+                    className="text-slate-500 hover:text-red-400"
+                    title="Delete group (friends are kept)"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+
+                {isExpanded && (
+                  <div className="px-3 pb-3 max-h-56 overflow-y-auto modern-scrollbar space-y-1">
+                    {sortedFriends.length === 0 ? (
+                      <p className="text-xs text-slate-500">Add friends first.</p>
+                    ) : (
+                      sortedFriends.map((friend) => {
+                        const isMember = group.memberIds.includes(friend.id);
+                        return (
+                          <button
+                            key={friend.id}
+                            onClick={() => onToggleMember(group.id, friend.id)}
+                            className="w-full flex items-center gap-2 text-xs text-slate-300 hover:text-white py-0.5"
+                          >
+                            {isMember ? (
+                              <CheckSquare size={14} style={{ color: group.color }} />
+                            ) : (
+                              <Square size={14} className="text-slate-600" />
+                            )}
+                            {friend.name}
+                          </button>
+                        );
+                      })
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+/**
+ * InteractionJournal Component
+ * Dated log of contact with a friend, with a quick-add form
+ */
+
+import React, { useState } from 'react';
+import { BookOpen, ChevronDown, Plus, Trash2 } from 'lucide-react';
+import {
+  INTERACTION_CHANNELS,
+  INTERACTION_MOODS,
+  DEFAULT_INTERACTION_CHANNEL,
+  DEFAULT_INTERACTION_MOOD
+} from '../../constants/interactions';
+import { createInteraction, sortInteractions, todayString } from '../../services/interactionJournal';
+
+const emptyEntry = () => ({
+  date: todayString(),
+  channel: DEFAULT_INTERACTION_CHANNEL,
+  mood: DEFAULT_INTERACTION_MOOD,
+  note: ''
+});
+
+/**
+ * InteractionJournal - Collapsible journal section for FriendDetail
+ * @param {Object} props
+ * @param {Array} props.interactions - Logged entries
+ * @param {Function} props.onChange - Save the updated entry list
+ */
+export default function InteractionJournal({ interactions = [], onChange }) {
+  const [entry, setEntry] = useState(emptyEntry);
+
+  const entries = sortInteractions(interactions);
+
+  const addEntry = (e) => {
+    e.preventDefault();
+    onChange(sortInteractions([...interactions, createInteraction(entry)]));
+    setEntry(emptyEntry());
+  };
+
+  const removeEntry = (id) => {
+    onChange(interactions.filter((item) => item.id !== id));
+  };
+
+  const inputClass = 'bg-slate-950 border border-slate-700 rounded px-2 py-1.5 text-xs text-white focus:border-purple-500 outline-none';
+
+  return (
+    <details className="group bg-slate-900/30 rounded-lg border border-slate-700/50 open:bg-slate-900/50 transition-all duration-200">
+      <summary className="flex items-center justify-between p-3 cursor-pointer select-none text-sm font-semibold text-slate-300">
+        <div className="flex items-center gap-2">
+          <BookOpen size={14} className="text-green-400" /> Interaction Journal
+          {entries.length > 0 && (
+            <span className="text-xs font-normal text-slate-500">
+              ({entries.length}, last {entries[0].date})
+            </span>
+          )}
+        </div>
+        <div className="text-slate-500 group-open:rotate-180 transition-transform">
+          <ChevronDown size={16} />
+        </div>
+      </summary>
+
+      <div className="px-3 pb-3 pt-0 space-y-3">
+        {/* Quick add */}
+        <form onSubmit={addEntry} className="space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="date"
+              value={entry.date}
+              max={todayString()}
+              onChange={(e) => setEntry({ ...entry, date: e.target.value })}
+              className={`${inputClass} flex-1`}
+              required
+            />
+            <select
+              value={entry.channel}
+              onChange={(e) => setEntry({ ...entry, channel: e.target.value })}
+              className={`${inputClass} flex-1`}
+            >
+              {INTERACTION_CHANNELS.map((channel) => (
+                <option key={channel.id} value={channel.id}>{channel.label}</option>
+              ))}
+            </select>
+            <select
+              value={entry.mood}
+              onChange={(e) => setEntry({ ...entry, mood: e.target.value })}
+              className={inputClass}
+              title="Mood"
+            >
+              {INTERACTION_MOODS.map((mood) => (
+                <option key={mood.id} value={mood.id}>{mood.emoji} {mood.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="Short note (optional)"
+              value={entry.note}
+              onChange={(e) => setEntry({ ...entry, note: e.target.value })}
+              className={`${inputClass} flex-1`}
+            />
+            <button
+              type="submit"
+              className="px-3 rounded bg-purple-600 hover:bg-purple-500 text-white text-xs flex items-center gap-1"
+            >
+              <Plus size={12} /> Log
+            </button>
+          </div>
+        </form>
+
+        {/* Entries */}
+        {entries.length === 0 ? (
+          <p className="text-xs text-slate-500">
+            No interactions logged yet. Logged contact is used when this friend is analyzed.
+          </p>
+        ) : (
+          <ul className="space-y-1.5 max-h-56 overflow-y-auto modern-scrollbar pr-1">
+            {entries.map((item) => {
+              const mood = INTERACTION_MOODS.find((m) => m.id === item.mood);
+              const channel = INTERACTION_CHANNELS.find((c) => c.id === item.channel);
+              return (
+                <li key={item.id} className="flex items-start gap-2 text-xs group/entry">
+                  <span title={mood?.label}>{mood?.emoji || '•'}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="text-slate-300">
+                      {item.date} <span className="text-slate-500">· {channel?.label || item.channel}</span>
+                    </div>
+                    {item.note && <div className="text-slate-400 break-words">{item.note}</div>}
+                  </div>
+                  <button
+                    onClick={() => removeEntry(item.id)}
+                    className="text-slate-600 hover:text-red-400 opacity-0 group-hover/entry:opacity-100 transition-opacity"
+                    title="Remove entry"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { User, Settings, Lock, AlertTriangle, RefreshCw } from 'lucide-react';
+import { User, Settings, Lock, AlertTriangle, RefreshCw, Trash2 } from 'lucide-react';
 
 /**
  * PanelHeader - Control panel header
@@ -15,6 +15,8 @@ import { User, Settings, Lock, AlertTriangle, RefreshCw } from 'lucide-react';
  * @param {Function} props.onLockVault - Lock the vault
  * @param {Function} props.onRecalculate - Open recalculate modal
  * @param {number} props.friendsCount - Number of friends (to enable/disable recalculate)
+ * @param {Function} props.onOpenTrash - Open the trash
+ * @param {number} props.trashCount - Deleted friends awaiting purge
  */
 export default function PanelHeader({
   showApiKeyWarning,
@@ -22,7 +24,9 @@ export default function PanelHeader({
   onOpenSettings,
   onLockVault,
   onRecalculate,
-  friendsCount = 0
+  friendsCount = 0,
+  onOpenTrash,
+  trashCount = 0
 }) {
   return (
     <div className="p-6 border-b border-slate-800 bg-slate-950">
@@ -50,6 +54,18 @@ export default function PanelHeader({
               <RefreshCw size={18} />
             </button>
           )}
+          <button
+            onClick={onOpenTrash}
+            className="relative p-2 hover:bg-slate-800 rounded-full text-slate-400"
+            title="Trash"
+          >
+            <Trash2 size={18} />
+            {trashCount > 0 && (
+              <span className="absolute -top-0.5 -right-0.5 min-w-4 h-4 px-1 rounded-full bg-red-500 text-[10px] leading-4 text-white text-center">
+                {trashCount}
+              </span>
+            )}
+          </button>
           <button
             onClick={onEditPersona}
             className="p-2 hover:bg-slate-800 rounded-full text-slate-400"
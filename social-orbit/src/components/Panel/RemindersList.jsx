@@ -0,0 +1,75 @@
+/**
+ * RemindersList Component
+ * Friends who are overdue for contact, with quick "contacted" and snooze
+ */
+
+import React from 'react';
+import { BellRing, Check, AlarmClock } from 'lucide-react';
+import { REMINDER_ZONES, SNOOZE_OPTIONS_DAYS } from '../../constants/reminders';
+
+/**
+ * RemindersList - Reach-out queue for the panel
+ * @param {Object} props
+ * @param {Array} props.reminders - From getOverdueReminders
+ * @param {Function} props.onSelect - Open the friend's detail view
+ * @param {Function} props.onMarkContacted - Log contact for today
+ * @param {Function} props.onSnooze - Hide the reminder for (friendId, days)
+ */
+export default function RemindersList({ reminders, onSelect, onMarkContacted, onSnooze }) {
+  if (!reminders.length) return null;
+
+  return (
+    <div className="bg-amber-500/5 border border-amber-500/20 rounded-lg p-4 space-y-3">
+      <h3 className="text-sm font-semibold text-amber-300 flex items-center gap-2">
+        <BellRing size={14} /> Reach out ({reminders.length})
+      </h3>
+
+      <div className="space-y-2 max-h-64 overflow-y-auto modern-scrollbar pr-1">
+        {reminders.map((reminder) => {
+          const zone = REMINDER_ZONES.find((z) => z.id === reminder.zone);
+          return (
+            <div key={reminder.friendId} className="bg-slate-900 border border-slate-700 rounded-lg p-3">
+              <div className="flex justify-between items-start gap-2">
+                <button
+                  onClick={() => onSelect(reminder.friendId)}
+                  className="min-w-0 text-left"
+                  title="Show friend"
+                >
+                  <div className="text-sm text-white font-medium truncate hover:text-amber-200">{reminder.name}</div>
+                  <div className="text-[10px] uppercase tracking-wider text-slate-500">
+                    {zone?.label} · every {reminder.cadenceDays} days
+                  </div>
+                </button>
+                <span className="text-xs text-amber-300 whitespace-nowrap">
+                  {reminder.estimated ? '~' : ''}{reminder.daysSince}d ago
+                </span>
+              </div>
+
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={() => onMarkContacted(reminder.friendId)}
+                  className="flex-1 py-1.5 text-xs rounded border border-slate-700 text-slate-300 hover:bg-slate-800 flex items-center justify-center gap-1"
+                >
+                  <Check size={12} /> Contacted
+                </button>
+                <div className="flex items-center gap-1 text-xs text-slate-500">
+                  <AlarmClock size={12} />
+                  {SNOOZE_OPTIONS_DAYS.map((days) => (
+                    <button
+                      key={days}
+                      onClick={() => onSnooze(reminder.friendId, days)}
+                      className="px-2 py-1.5 rounded border border-slate-700 text-slate-300 hover:bg-slate-800"
+                      title={`Snooze for ${days} day${days === 1 ? '' : 's'}`}
+                    >
+                      {days}d
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+/**
+ * ScoreBreakdown Component
+ * Explains how a friend's position was computed from the extraction answers,
+ * and lets the user correct individual answers for instant re-scoring
+ */
+
+import React, { useState } from 'react';
+import { Calculator, ChevronDown, Pencil, Check, AlertTriangle } from 'lucide-react';
+import { calculateScore, formatAnswer, formatAdjustment } from '../../services/scoringEngine';
+import { EXTRACTION_QUESTIONS } from '../../constants/prompts';
+
+/**
+ * Color for a signed adjustment (lower = closer, so negative is "good")
+ */
+function adjustmentClass(value) {
+  if (value < 0) return 'text-green-400';
+  if (value > 0) return 'text-red-400';
+  return 'text-slate-500';
+}
+
+/**
+ * AxisBreakdown - Baseline, per-factor steps and limits for one axis
+ */
+function AxisBreakdown({ title, accent, axis }) {
+  return (
+    <div>
+      <div className={`text-xs font-semibold mb-1 ${accent}`}>{title}</div>
+      <table className="w-full text-[11px] font-mono">
+        <tbody>
+          <tr className="text-slate-500">
+            <td className="py-0.5">Baseline</td>
+            <td />
+            <td className="text-right">{axis.baseline}</td>
+          </tr>
+          {axis.steps.map((step) => (
+            <tr key={step.question} className="border-t border-slate-800">
+              <td className="py-0.5 pr-2">
+                <div className="text-slate-300">{step.factor}</div>
+                <div className="text-slate-500 font-sans">{formatAnswer(step.answer)}</div>
+              </td>
+              <td className={`text-right pr-2 ${adjustmentClass(step.adjustment)}`}>
+                {formatAdjustment(step.adjustment)}
+              </td>
+              <td className="text-right text-slate-400">{step.runningTotal}</td>
+            </tr>
+          ))}
+          {axis.limits.map((limit) => (
+            <tr key={limit.label} className="border-t border-yellow-500/20 text-yellow-400">
+              <td className="py-0.5 pr-2 font-sans">⚠ {limit.label}</td>
+              <td className="text-right pr-2">{limit.from} →</td>
+              <td className="text-right">{limit.to}</td>
+            </tr>
+          ))}
+          <tr className="border-t border-slate-600 text-white font-bold">
+            <td className="py-0.5">Result</td>
+            <td />
+            <td className="text-right">{axis.value}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * ValidationIssues - Problems found when checking the AI's answers
+ */
+function ValidationIssues({ issues }) {
+  return (
+    <div className="bg-yellow-500/10 border border-yellow-500/20 rounded p-2 space-y-1">
+      <div className="text-xs font-semibold text-yellow-400 flex items-center gap-1">
+        <AlertTriangle size={12} /> {issues.length} answer{issues.length > 1 ? 's' : ''} needed attention
+      </div>
+      {issues.map((issue) => (
+        <div key={issue.key} className="text-[11px] text-yellow-200/80">
+          {issue.type === 'mapped'
+            ? <>{issue.key}: "{issue.value}" → {formatAnswer(issue.mappedTo)}</>
+            : issue.type === 'missing'
+              ? <>{issue.key}: not answered</>
+              : <>{issue.key}: "{issue.value}" is not a valid option</>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * AnswerEditor - Dropdown per question, built from the allowed options
+ */
+function AnswerEditor({ answers, flaggedKeys, onChange }) {
+  return (
+    <div className="space-y-1.5">
+      {EXTRACTION_QUESTIONS.map((q) => {
+        const value = answers[q.key];
+        const isKnown = q.options.includes(value);
+        return (
+          <label key={q.key} className="flex items-center justify-between gap-2 text-[11px]">
+            <span className={flaggedKeys.has(q.key) ? 'text-yellow-400' : 'text-slate-400'}>{q.label}</span>
+            <select
+              value={value ?? ''}
+              onChange={(e) => onChange({ ...answers, [q.key]: e.target.value })}
+              className="bg-slate-950 border border-slate-700 rounded px-1.5 py-1 text-white focus:border-purple-500 outline-none max-w-[55%]"
+            >
+              {!isKnown && <option value={value ?? ''}>{formatAnswer(value)}</option>}
+              {q.options.map((option) => (
+                <option key={option} value={option}>{formatAnswer(option)}</option>
+              ))}
+            </select>
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * ScoreBreakdown - "Explain this position" section
+ * @param {Object} props
+ * @param {Object} props.friend - Friend with extractedData
+ * @param {Function} props.onUpdateAnswers - Save corrected answers (re-scores the friend)
+ */
+export default function ScoreBreakdown({ friend, onUpdateAnswers }) {
+  const [editing, setEditing] = useState(false);
+
+  if (!friend.extractedData) return null;
+
+  const { breakdown } = calculateScore(friend.extractedData);
+  const scoredKeys = new Set([
+    ...breakdown.x.steps.map((s) => s.question),
+    ...breakdown.y.steps.map((s) => s.question)
+  ]);
+  const otherAnswers = EXTRACTION_QUESTIONS.filter((q) => !scoredKeys.has(q.key));
+
+  const issues = friend.validationIssues || [];
+  const flaggedKeys = new Set(issues.map((issue) => issue.key));
+
+  const movedSinceScoring =
+    Math.round(friend.x) !== breakdown.x.value || Math.round(friend.y) !== breakdown.y.value;
+
+  return (
+    <details className="group bg-slate-900/30 rounded-lg border border-slate-700/50 open:bg-slate-900/50 transition-all duration-200">
+      <summary className="flex items-center justify-between p-3 cursor-pointer select-none text-sm font-semibold text-slate-300">
+        <div className="flex items-center gap-2">
+          <Calculator size={14} className="text-blue-400" /> Explain this position
+        </div>
+        <div className="text-slate-500 group-open:rotate-180 transition-transform">
+          <ChevronDown size={16} />
+        </div>
+      </summary>
+      <div className="px-3 pb-3 pt-0 space-y-4">
+        {onUpdateAnswers && (
+          <button
+            onClick={() => setEditing(!editing)}
+            className="text-xs px-2 py-1 rounded border border-slate-700 text-slate-300 hover:bg-slate-800 flex items-center gap-1"
+          >
+            {editing ? <><Check size={12} /> Done</> : <><Pencil size={12} /> Correct answers</>}
+          </button>
+        )}
+
+        {editing && (
+          <AnswerEditor answers={friend.extractedData} flaggedKeys={flaggedKeys} onChange={onUpdateAnswers} />
+        )}
+
+        {issues.length > 0 && <ValidationIssues issues={issues} />}
+
+        {movedSinceScoring && (
+          <p className="text-[11px] text-yellow-400/80">
+            Current position ({Math.round(friend.x)}, {Math.round(friend.y)}) differs from the computed
+            score ({breakdown.x.value}, {breakdown.y.value}) — it was adjusted after analysis.
+          </p>
+        )}
+
+        <AxisBreakdown title="Emotion (X)" accent="text-purple-400" axis={breakdown.x} />
+        <AxisBreakdown title="Time Gap (Y)" accent="text-blue-400" axis={breakdown.y} />
+
+        {otherAnswers.length > 0 && (
+          <div>
+            <div className="text-xs font-semibold text-slate-400 mb-1">Other answers (not scored)</div>
+            <dl className="text-[11px] grid grid-cols-2 gap-x-3 gap-y-0.5">
+              {otherAnswers.map((q) => (
+                <React.Fragment key={q.key}>
+                  <dt className="text-slate-500">{q.label}</dt>
+                  <dd className="text-slate-300">{formatAnswer(friend.extractedData[q.key])}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
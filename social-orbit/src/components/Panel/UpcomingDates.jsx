@@ -0,0 +1,60 @@
+/**
+ * UpcomingDates Component
+ * Birthdays, anniversaries and other dates coming up soon, with calendar export
+ */
+
+import React from 'react';
+import { CalendarDays, Download } from 'lucide-react';
+import { UPCOMING_DATES_WINDOW_DAYS } from '../../constants/customFields';
+
+function formatWhen(daysUntil) {
+  if (daysUntil === 0) return 'Today';
+  if (daysUntil === 1) return 'Tomorrow';
+  return `In ${daysUntil} days`;
+}
+
+/**
+ * UpcomingDates - Date list for the panel
+ * @param {Object} props
+ * @param {Array} props.dates - From getUpcomingDates
+ * @param {Function} props.onSelect - Open the friend's detail view
+ * @param {Function} props.onExport - Download all dates as an .ics file
+ */
+export default function UpcomingDates({ dates, onSelect, onExport }) {
+  if (!dates.length) return null;
+
+  return (
+    <div className="bg-sky-500/5 border border-sky-500/20 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-sky-300 flex items-center gap-2">
+          <CalendarDays size={14} /> Coming up ({dates.length})
+        </h3>
+        <button
+          onClick={onExport}
+          className="text-xs text-slate-400 hover:text-white flex items-center gap-1"
+          title="Download all dates as a calendar file (.ics)"
+        >
+          <Download size={12} /> Export .ics
+        </button>
+      </div>
+
+      <ul className="space-y-1.5 max-h-48 overflow-y-auto modern-scrollbar pr-1">
+        {dates.map((item) => (
+          <li key={`${item.friendId}-${item.fieldId}`} className="flex items-center justify-between gap-2 text-xs">
+            <button
+              onClick={() => onSelect(item.friendId)}
+              className="min-w-0 text-left truncate text-slate-200 hover:text-sky-200"
+              title="Show friend"
+            >
+              {item.name} <span className="text-slate-500">· {item.label}{item.years ? ` (${item.years})` : ''}</span>
+            </button>
+            <span className={`flex-shrink-0 ${item.daysUntil <= 1 ? 'text-sky-300 font-semibold' : 'text-slate-500'}`} title={item.date}>
+              {formatWhen(item.daysUntil)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="text-[10px] text-slate-500">Next {UPCOMING_DATES_WINDOW_DAYS} days</p>
+    </div>
+  );
+}
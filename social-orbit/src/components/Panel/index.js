@@ -8,4 +8,12 @@ export { default as AddFriendForm } from './AddFriendForm';
 export { default as BulkImportForm } from './BulkImportForm';
 export { default as IconPicker } from './IconPicker';
 export { default as ColorPicker } from './ColorPicker';
-
+export { default as ScoreBreakdown } from './ScoreBreakdown';
+export { default as FailedItemsList } from './FailedItemsList';
+export { default as InteractionJournal } from './InteractionJournal';
+export { default as RemindersList } from './RemindersList';
+export { default as FriendConnections } from './FriendConnections';
+export { default as GroupsManager } from './GroupsManager';
+export { default as FriendTags } from './FriendTags';
+export { default as CustomFieldInputs } from './CustomFieldInputs';
+export { default as UpcomingDates } from './UpcomingDates';
@@ -15,6 +15,7 @@ import {
   Key, RefreshCw, Trash2, Download, Info, HelpCircle
 } from 'lucide-react';
 import secureStorage, { migrateFromLocalStorage, clearOldLocalStorage } from '../utils/secureStorage';
+import { loadAvatars } from '../services/avatars';
 
 export default function VaultGate({ onUnlock, onDataLoaded }) {
   const [state, setState] = useState('checking'); // 'checking' | 'setup' | 'unlock' | 'unlocked'
@@ -120,9 +121,22 @@ export default function VaultGate({ onUnlock, onDataLoaded }) {
       const persona = await secureStorage.getItem('persona') || null;
       const formData = await secureStorage.getItem('formData') || null;
       const mockMode = await secureStorage.getItem('mockMode') ?? false;
+      const llmProvider = await secureStorage.getItem('llmProvider') || null;
+      const pendingJob = await secureStorage.getItem('pendingJob') || null;
+      const failedItems = await secureStorage.getItem('failedItems') || [];
+      const removedFriends = await secureStorage.getItem('removedFriends') || [];
+      const decaySettings = await secureStorage.getItem('decaySettings') || null;
+      const reminderSettings = await secureStorage.getItem('reminderSettings') || null;
+      const rejectedFriends = await secureStorage.getItem('rejectedFriends') || [];
+      const undoHistory = await secureStorage.getItem('undoHistory') || null;
+      const trashSettings = await secureStorage.getItem('trashSettings') || null;
+      const connections = await secureStorage.getItem('connections') || [];
+      const groups = await secureStorage.getItem('groups') || [];
+      const customFields = await secureStorage.getItem('customFields') || [];
+      const avatars = await loadAvatars(secureStorage);
       const apiKey = await secureStorage.getApiKey() || ''; // Now async with expiry check
       
-      onDataLoaded({ friends, persona, formData, mockMode, apiKey });
+      onDataLoaded({ friends, persona, formData, mockMode, llmProvider, pendingJob, failedItems, removedFriends, decaySettings, reminderSettings, rejectedFriends, undoHistory, trashSettings, connections, groups, customFields, avatars, apiKey });
     } catch (e) {
       console.error('Load data error:', e);
     }
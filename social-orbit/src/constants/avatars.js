@@ -0,0 +1,12 @@
+/**
+ * Avatar Configuration
+ * Friend photos are cropped square and downscaled before encryption
+ */
+
+// Stored edge length in pixels (nodes show ~36px, detail view 64px, 2x for retina)
+export const AVATAR_SIZE = 160;
+
+export const AVATAR_JPEG_QUALITY = 0.85;
+
+// Larger uploads are refused before decoding
+export const AVATAR_MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
@@ -0,0 +1,23 @@
+/**
+ * Connection Configuration
+ * Types and strengths for friend-to-friend edges
+ */
+
+export const CONNECTION_TYPES = [
+  { id: 'family', label: 'Family', color: '#f87171' },
+  { id: 'partners', label: 'Partners', color: '#f472b6' },
+  { id: 'friends', label: 'Friends', color: '#34d399' },
+  { id: 'work', label: 'Work', color: '#22d3ee' },
+  { id: 'school', label: 'School', color: '#fbbf24' },
+  { id: 'neighbors', label: 'Neighbors', color: '#a3e635' },
+  { id: 'other', label: 'Other', color: '#94a3b8' }
+];
+
+export const CONNECTION_STRENGTHS = [
+  { value: 1, label: 'Weak' },
+  { value: 2, label: 'Medium' },
+  { value: 3, label: 'Strong' }
+];
+
+export const DEFAULT_CONNECTION_TYPE = 'friends';
+export const DEFAULT_CONNECTION_STRENGTH = 2;
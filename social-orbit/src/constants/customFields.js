@@ -0,0 +1,20 @@
+/**
+ * Custom Field Configuration
+ * User-defined fields shown on every friend
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  { id: 'text', label: 'Text' },
+  { id: 'number', label: 'Number' },
+  { id: 'date', label: 'Date' },
+  { id: 'url', label: 'URL' },
+  { id: 'select', label: 'Select' }
+];
+
+export const DEFAULT_CUSTOM_FIELD_TYPE = 'text';
+
+// URL values only become clickable links with these schemes
+export const LINK_PROTOCOLS = ['http:', 'https:'];
+
+// The upcoming dates panel looks this far ahead
+export const UPCOMING_DATES_WINDOW_DAYS = 30;
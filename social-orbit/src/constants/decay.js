@@ -0,0 +1,26 @@
+/**
+ * Contact Decay Configuration
+ * How fast the Time Gap (Y) drifts outward when contact lapses
+ */
+
+export const DEFAULT_DECAY_SETTINGS = {
+  enabled: true,
+  halfLifeDays: 30 // Days overdue for the gap to the edge (Y=100) to close by half
+};
+
+export const DECAY_HALF_LIFE_RANGE = { min: 7, max: 365 };
+
+// Expected days between contacts for each q1_frequency answer
+export const FREQUENCY_INTERVAL_DAYS = {
+  daily: 1,
+  few_times_week: 3,
+  weekly: 7,
+  few_times_month: 10,
+  monthly: 30,
+  few_times_year: 90,
+  rarely: 365,
+  never: null // No expectation - never decays
+};
+
+// Used when a friend has no extracted frequency
+export const DEFAULT_INTERVAL_DAYS = 30;
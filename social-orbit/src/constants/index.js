@@ -6,9 +6,19 @@ export * from './icons';
 export * from './colors';
 export * from './prompts';
 export * from './models';
+export * from './scoring';
+export * from './interactions';
+export * from './decay';
+export * from './reminders';
+export * from './trash';
+export * from './connections';
+export * from './search';
+export * from './customFields';
+export * from './avatars';
 
 // Re-export specific prompts for clarity
 export { 
+  EXTRACTION_QUESTIONS,
   EXTRACTION_PROMPT, 
   CALCULATION_PROMPT,
   BULK_EXTRACTION_PROMPT,
@@ -18,5 +28,13 @@ export {
 } from './prompts';
 
 // Model configuration
-export { API_CONFIG, callLLM, getModelInfo } from './models';
+export {
+  API_CONFIG,
+  LLM_PROVIDERS,
+  DEFAULT_PROVIDER_CONFIG,
+  callLLM,
+  getModelInfo,
+  resolveProviderConfig,
+  hasProviderCredentials
+} from './models';
 
@@ -0,0 +1,28 @@
+/**
+ * Interaction Journal Configuration
+ * Channels and moods for logged interactions
+ */
+
+export const INTERACTION_CHANNELS = [
+  { id: 'in_person', label: 'In person' },
+  { id: 'video_call', label: 'Video call' },
+  { id: 'phone_call', label: 'Phone call' },
+  { id: 'texting', label: 'Texting' },
+  { id: 'social_media', label: 'Social media' },
+  { id: 'email', label: 'Email' },
+  { id: 'other', label: 'Other' }
+];
+
+export const INTERACTION_MOODS = [
+  { id: 'great', label: 'Great', emoji: '😄' },
+  { id: 'good', label: 'Good', emoji: '🙂' },
+  { id: 'neutral', label: 'Neutral', emoji: '😐' },
+  { id: 'strained', label: 'Strained', emoji: '😕' },
+  { id: 'bad', label: 'Bad', emoji: '😞' }
+];
+
+export const DEFAULT_INTERACTION_CHANNEL = 'texting';
+export const DEFAULT_INTERACTION_MOOD = 'good';
+
+// How many of the latest entries are sent to the AI with each analysis
+export const JOURNAL_PROMPT_LIMIT = 10;
@@ -1,71 +1,211 @@
 /**
  * Model Configuration
- * 
- * Uses Claude 3.5 Haiku via OpenRouter for high-quality analysis.
+ *
+ * Pluggable LLM providers. Uses Claude 3.5 Haiku via OpenRouter by default,
+ * but any OpenAI-compatible endpoint (llama.cpp, Ollama, LM Studio...) or the
+ * Anthropic Messages API can be selected in Settings.
  */
 
+import { fetchWithRetry } from '../utils/httpTransport';
+
 // ============================================================================
 // MODEL CONFIGURATION
 // ============================================================================
 
 export const API_CONFIG = {
   endpoint: 'https://openrouter.ai/api/v1/chat/completions',
-  
+
   // Claude 3.5 Haiku - Fast, smart, affordable
   model: 'anthropic/claude-3.5-haiku',
-  
+
   // Settings
   maxTokens: 1024,
   temperature: 0.3  // Lower for consistent JSON output
 };
 
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+/**
+ * Provider definitions
+ * Each provider knows its defaults, how to authenticate, how to shape the
+ * request body and how to pull the text out of the response.
+ */
+export const LLM_PROVIDERS = {
+  openrouter: {
+    id: 'openrouter',
+    label: 'OpenRouter',
+    description: 'Hosted models via openrouter.ai',
+    defaultBaseUrl: 'https://openrouter.ai/api/v1',
+    defaultModel: API_CONFIG.model,
+    requiresApiKey: true,
+    configurableBaseUrl: false,
+    keyPlaceholder: 'sk-or-...',
+    buildRequest: (config, apiKey, systemPrompt, userContent, { model, maxTokens }) => ({
+      url: `${config.baseUrl}/chat/completions`,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': window.location.href,
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        temperature: API_CONFIG.temperature,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContent }
+        ]
+      }
+    }),
+    parseResponse: (data) => data.choices?.[0]?.message?.content
+  },
+
+  openai: {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    description: 'Any /v1/chat/completions server (llama.cpp, Ollama, LM Studio)',
+    defaultBaseUrl: 'http://localhost:8080/v1',
+    defaultModel: 'local-model',
+    requiresApiKey: false,
+    configurableBaseUrl: true,
+    keyPlaceholder: 'Optional for local servers',
+    buildRequest: (config, apiKey, systemPrompt, userContent, { model, maxTokens }) => ({
+      url: `${config.baseUrl}/chat/completions`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        temperature: API_CONFIG.temperature,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContent }
+        ]
+      }
+    }),
+    parseResponse: (data) => data.choices?.[0]?.message?.content
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    label: 'Anthropic',
+    description: 'Anthropic Messages API',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresApiKey: true,
+    configurableBaseUrl: true,
+    keyPlaceholder: 'sk-ant-...',
+    buildRequest: (config, apiKey, systemPrompt, userContent, { model, maxTokens }) => ({
+      url: `${config.baseUrl}/messages`,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for calls made directly from the browser
+        'anthropic-dangerous-direct-browser-access': 'true',
+        'Content-Type': 'application/json'
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        temperature: API_CONFIG.temperature,
+        system: systemPrompt,
+        messages: [
+          { role: 'user', content: userContent }
+        ]
+      }
+    }),
+    parseResponse: (data) => (data.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('')
+  }
+};
+
+export const DEFAULT_PROVIDER_ID = 'openrouter';
+
+/**
+ * Default provider configuration (as stored in the vault)
+ */
+export const DEFAULT_PROVIDER_CONFIG = {
+  id: DEFAULT_PROVIDER_ID,
+  baseUrl: LLM_PROVIDERS[DEFAULT_PROVIDER_ID].defaultBaseUrl,
+  model: LLM_PROVIDERS[DEFAULT_PROVIDER_ID].defaultModel
+};
+
+/**
+ * Fill in missing fields of a stored provider config with provider defaults
+ */
+export function resolveProviderConfig(config) {
+  const provider = LLM_PROVIDERS[config?.id] || LLM_PROVIDERS[DEFAULT_PROVIDER_ID];
+  const baseUrl = provider.configurableBaseUrl && config?.baseUrl
+    ? config.baseUrl
+    : provider.defaultBaseUrl;
+
+  return {
+    id: provider.id,
+    baseUrl: baseUrl.replace(/\/+$/, ''),
+    model: config?.model || provider.defaultModel
+  };
+}
+
+/**
+ * Whether the given provider can be called with the credentials we have
+ */
+export function hasProviderCredentials(apiKey, config) {
+  const provider = LLM_PROVIDERS[config?.id] || LLM_PROVIDERS[DEFAULT_PROVIDER_ID];
+  return !provider.requiresApiKey || !!apiKey;
+}
+
 // ============================================================================
 // LLM CALL FUNCTION
 // ============================================================================
 
 /**
- * Call Claude via OpenRouter
+ * Call the configured LLM provider
+ * @param {string} apiKey - Provider API key (optional for local servers)
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userContent - User message
+ * @param {Object} options - { provider, model, maxTokens, signal }
+ * @returns {Promise<string>} Raw text response
  */
 export async function callLLM(apiKey, systemPrompt, userContent, options = {}) {
-  if (!apiKey) {
-    throw new Error('API key required. Get one at openrouter.ai');
+  const config = resolveProviderConfig(options.provider);
+  const provider = LLM_PROVIDERS[config.id];
+
+  if (!hasProviderCredentials(apiKey, config)) {
+    throw new Error(`API key required for ${provider.label}`);
   }
-  
-  const model = options.model || API_CONFIG.model;
+
+  const model = options.model || config.model;
   const maxTokens = options.maxTokens || API_CONFIG.maxTokens;
-  
-  console.log(`Calling: ${model}`);
-  
-  const response = await fetch(API_CONFIG.endpoint, {
+
+  console.log(`Calling: ${provider.label} / ${model}`);
+
+  const request = provider.buildRequest(config, apiKey, systemPrompt, userContent, { model, maxTokens });
+
+  // Rate-limited, retries 429/5xx/network errors
+  const response = await fetchWithRetry(request.url, {
     method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': window.location.href,
-    },
-    body: JSON.stringify({
-      model,
-      max_tokens: maxTokens,
-      temperature: API_CONFIG.temperature,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userContent }
-      ]
-    })
-  });
-  
-  const data = await response.json();
-  
+    headers: request.headers,
+    body: JSON.stringify(request.body)
+  }, { signal: options.signal });
+
+  const data = await response.json().catch(() => ({}));
+
   if (!response.ok) {
     const errorMsg = data.error?.message || `API Error: ${response.status}`;
     throw new Error(errorMsg);
   }
-  
-  const content = data.choices?.[0]?.message?.content;
+
+  const content = provider.parseResponse(data);
   if (!content) {
     throw new Error('Empty response from AI');
   }
-  
+
   console.log('AI Response received');
   return content;
 }
@@ -74,10 +214,12 @@ export async function callLLM(apiKey, systemPrompt, userContent, options = {}) {
 // UTILITY
 // ============================================================================
 
-export function getModelInfo() {
+export function getModelInfo(providerConfig) {
+  const config = resolveProviderConfig(providerConfig);
+  const provider = LLM_PROVIDERS[config.id];
   return {
-    model: API_CONFIG.model,
-    provider: 'OpenRouter',
-    description: 'Claude 3.5 Haiku - Fast and intelligent'
+    model: config.model,
+    provider: provider.label,
+    description: provider.description
   };
 }
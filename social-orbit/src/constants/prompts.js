@@ -2,8 +2,8 @@
  * AI Prompts Configuration
  * 
  * STRUCTURED TWO-STEP ANALYSIS:
- * 1. Extract factual relationship data via questions
- * 2. Calculate coordinates based on extracted data
+ * 1. Extract factual relationship data via questions (LLM)
+ * 2. Calculate coordinates based on extracted data (local scoring engine)
  */
 
 import { ICON_KEYS } from './icons';
@@ -38,61 +38,150 @@ export const AXIS_DEFINITIONS = {
 };
 
 // ============================================================================
-// EXTRACTION PROMPT - Get structured facts from description
+// EXTRACTION QUESTIONS - The 15 structured questions and their allowed answers
 // ============================================================================
 
-export const EXTRACTION_PROMPT = `You are a Relationship Data Extractor. Your job is to extract FACTUAL information from a relationship description.
-
-## QUESTIONS TO ANSWER:
-
-### Communication Pattern
-Q1. How frequently do they communicate?
-Options: daily, few_times_week, weekly, few_times_month, monthly, few_times_year, rarely, never
-
-Q2. What are the primary communication channels?
-Options: in_person, video_calls, phone_calls, texting, social_media, email, none
-
-Q3. Who typically initiates contact?
-Options: user_initiates, friend_initiates, both_equally, neither
-
-Q4. When was their last meaningful interaction?
-Options: today, this_week, this_month, few_months_ago, over_six_months, over_a_year, years_ago
-
-### Emotional Depth
-Q5. What level of personal sharing occurs?
-Options: share_everything, share_personal_struggles, share_some_personal, surface_conversations_only, no_sharing
-
-Q6. What topics do they typically discuss?
-Options: deep_life_issues, personal_problems, work_and_hobbies, casual_small_talk, practical_matters_only
-
-Q7. Do they provide emotional support to each other?
-Options: always_there, often_supportive, occasionally, rarely, never
-
-Q8. What is the trust level in this relationship?
-Options: complete_trust, high_trust, moderate_trust, low_trust, no_trust
+export const EXTRACTION_QUESTIONS = [
+  {
+    key: 'q1_frequency',
+    label: 'Communication frequency',
+    section: 'Communication Pattern',
+    question: 'How frequently do they communicate?',
+    options: ['daily', 'few_times_week', 'weekly', 'few_times_month', 'monthly', 'few_times_year', 'rarely', 'never']
+  },
+  {
+    key: 'q2_channels',
+    label: 'Primary channels',
+    section: 'Communication Pattern',
+    question: 'What are the primary communication channels?',
+    options: ['in_person', 'video_calls', 'phone_calls', 'texting', 'social_media', 'email', 'none']
+  },
+  {
+    key: 'q3_initiator',
+    label: 'Who initiates',
+    section: 'Communication Pattern',
+    question: 'Who typically initiates contact?',
+    options: ['user_initiates', 'friend_initiates', 'both_equally', 'neither']
+  },
+  {
+    key: 'q4_last_interaction',
+    label: 'Last interaction',
+    section: 'Communication Pattern',
+    question: 'When was their last meaningful interaction?',
+    options: ['today', 'this_week', 'this_month', 'few_months_ago', 'over_six_months', 'over_a_year', 'years_ago']
+  },
+  {
+    key: 'q5_sharing',
+    label: 'Personal sharing',
+    section: 'Emotional Depth',
+    question: 'What level of personal sharing occurs?',
+    options: ['share_everything', 'share_personal_struggles', 'share_some_personal', 'surface_conversations_only', 'no_sharing']
+  },
+  {
+    key: 'q6_topics',
+    label: 'Typical topics',
+    section: 'Emotional Depth',
+    question: 'What topics do they typically discuss?',
+    options: ['deep_life_issues', 'personal_problems', 'work_and_hobbies', 'casual_small_talk', 'practical_matters_only']
+  },
+  {
+    key: 'q7_support',
+    label: 'Emotional support',
+    section: 'Emotional Depth',
+    question: 'Do they provide emotional support to each other?',
+    options: ['always_there', 'often_supportive', 'occasionally', 'rarely', 'never']
+  },
+  {
+    key: 'q8_trust',
+    label: 'Trust level',
+    section: 'Emotional Depth',
+    question: 'What is the trust level in this relationship?',
+    options: ['complete_trust', 'high_trust', 'moderate_trust', 'low_trust', 'no_trust']
+  },
+  {
+    key: 'q9_origin',
+    label: 'How you met',
+    section: 'Relationship Context',
+    question: 'How did they meet or know each other?',
+    options: ['family', 'childhood_friend', 'school', 'college', 'work', 'mutual_friends', 'online', 'hobby_activity', 'romantic', 'neighbor', 'other']
+  },
+  {
+    key: 'q10_duration',
+    label: 'Known for',
+    section: 'Relationship Context',
+    question: 'How long have they known each other?',
+    options: ['less_than_year', 'one_to_two_years', 'two_to_five_years', 'five_to_ten_years', 'over_ten_years', 'lifetime']
+  },
+  {
+    key: 'q11_proximity',
+    label: 'Physical proximity',
+    section: 'Relationship Context',
+    question: 'What is their physical proximity?',
+    options: ['live_together', 'same_neighborhood', 'same_city', 'different_city', 'different_country']
+  },
+  {
+    key: 'q12_emergency',
+    label: 'Emergency contact',
+    section: 'Relationship Context',
+    question: 'Would the user call this person in an emergency?',
+    options: ['definitely_first_call', 'probably_would', 'depends_on_situation', 'probably_not', 'definitely_not']
+  },
+  {
+    key: 'q13_status',
+    label: 'Current status',
+    section: 'Current Status',
+    question: 'What is the current state of the relationship?',
+    options: ['very_active', 'active', 'stable', 'cooling_off', 'dormant', 'ended']
+  },
+  {
+    key: 'q14_barriers',
+    label: 'Barriers',
+    section: 'Current Status',
+    question: 'Are there any barriers to the relationship?',
+    options: ['none', 'busy_schedules', 'distance', 'life_changes', 'conflict', 'grew_apart']
+  },
+  {
+    key: 'q15_sentiment',
+    label: 'Overall sentiment',
+    section: 'Current Status',
+    question: 'What is the overall sentiment about this relationship?',
+    options: ['cherished', 'positive', 'neutral', 'mixed', 'negative']
+  }
+];
 
-### Relationship Context
-Q9. How did they meet or know each other?
-Options: family, childhood_friend, school, college, work, mutual_friends, online, hobby_activity, romantic, neighbor, other
+/**
+ * Render the questions as prompt text, grouped by section
+ */
+function formatQuestionsForPrompt(questions) {
+  const blocks = [];
+  let section = null;
+
+  questions.forEach((q, i) => {
+    const lines = [];
+    if (q.section !== section) {
+      section = q.section;
+      lines.push(`### ${section}`);
+    }
+    lines.push(`Q${i + 1}. ${q.question}`, `Options: ${q.options.join(', ')}`);
+    blocks.push(lines.join('\n'));
+  });
 
-Q10. How long have they known each other?
-Options: less_than_year, one_to_two_years, two_to_five_years, five_to_ten_years, over_ten_years, lifetime
+  return blocks.join('\n\n');
+}
 
-Q11. What is their physical proximity?
-Options: live_together, same_neighborhood, same_city, different_city, different_country
+// ============================================================================
+// EXTRACTION PROMPT - Get structured facts from description
+// ============================================================================
 
-Q12. Would the user call this person in an emergency?
-Options: definitely_first_call, probably_would, depends_on_situation, probably_not, definitely_not
+export const EXTRACTION_PROMPT = `You are a Relationship Data Extractor. Your job is to extract FACTUAL information from a relationship description.
 
-### Current Status
-Q13. What is the current state of the relationship?
-Options: very_active, active, stable, cooling_off, dormant, ended
+## QUESTIONS TO ANSWER:
 
-Q14. Are there any barriers to the relationship?
-Options: none, busy_schedules, distance, life_changes, conflict, grew_apart
+${formatQuestionsForPrompt(EXTRACTION_QUESTIONS)}
 
-Q15. What is the overall sentiment about this relationship?
-Options: cherished, positive, neutral, mixed, negative
+### Presentation
+Also pick the best matching icon and write a short summary.
+Available icons: ${ICON_KEYS}
 
 ## OUTPUT FORMAT:
 Output ONLY a valid JSON object with your answers:
@@ -111,7 +200,9 @@ Output ONLY a valid JSON object with your answers:
   "q12_emergency": "<answer>",
   "q13_status": "<answer>",
   "q14_barriers": "<answer>",
-  "q15_sentiment": "<answer>"
+  "q15_sentiment": "<answer>",
+  "icon": "<best matching icon from list>",
+  "summary": "<exactly 5 words describing relationship>"
 }
 
 IMPORTANT: Only output the JSON, no explanations.`;
@@ -119,6 +210,9 @@ IMPORTANT: Only output the JSON, no explanations.`;
 // ============================================================================
 // CALCULATION PROMPT - Calculate X,Y from extracted data
 // ============================================================================
+// No longer sent to the LLM: coordinates are computed locally by
+// services/scoringEngine.js from the tables in constants/scoring.js.
+// Kept as the human-readable reference for those tables.
 
 export const CALCULATION_PROMPT = `You are a Relationship Coordinate Calculator. Calculate X and Y values from structured relationship data.
 
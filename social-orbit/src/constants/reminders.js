@@ -0,0 +1,60 @@
+/**
+ * Reminder Configuration
+ * Reach-out cadences per zone and per friend
+ */
+
+// Zones follow closeness: the Emotional Bond (X) score, 0 = unbreakable
+export const REMINDER_ZONES = [
+  { id: 'inner', label: 'Inner circle', maxCloseness: 35 },
+  { id: 'middle', label: 'Middle ring', maxCloseness: 65 },
+  { id: 'outer', label: 'Outer ring', maxCloseness: 100 }
+];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: true,
+  // Longest gap between contacts before a reminder; null = no zone limit
+  // (only the friend's usual contact interval applies)
+  zoneCadenceDays: {
+    inner: 14,
+    middle: 45,
+    outer: null
+  }
+};
+
+// A friend's usual contact interval is stretched by this factor, then
+// clamped between the minimum and the zone cadence
+export const FREQUENCY_CADENCE_FACTOR = 2;
+export const MIN_FREQUENCY_CADENCE_DAYS = 7;
+
+// Usual contact interval read from the Communication (Y) score, for friends
+// placed by hand or without a q1_frequency answer. Bands follow the Y
+// scoring of each frequency answer.
+export const Y_INTERVAL_BANDS = [
+  { maxY: 12, days: 1 },
+  { maxY: 25, days: 3 },
+  { maxY: 35, days: 7 },
+  { maxY: 45, days: 10 },
+  { maxY: 60, days: 30 },
+  { maxY: 78, days: 90 },
+  { maxY: 100, days: 365 }
+];
+
+// Choices offered for zone and per-friend cadences
+export const CADENCE_OPTIONS_DAYS = [7, 14, 30, 45, 60, 90, 180, 365];
+
+export const SNOOZE_OPTIONS_DAYS = [1, 7, 30];
+
+// Reminders are re-evaluated this often while the vault is open
+export const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Rough days since contact for each q4_last_interaction answer,
+// used when a friend has no journal entries
+export const LAST_INTERACTION_ESTIMATE_DAYS = {
+  today: 0,
+  this_week: 3,
+  this_month: 15,
+  few_months_ago: 90,
+  over_six_months: 270,
+  over_a_year: 540,
+  years_ago: 1095
+};
@@ -0,0 +1,149 @@
+/**
+ * Scoring Configuration
+ *
+ * Fixed adjustment tables used to turn the 15 extraction answers into
+ * X/Y coordinates. Mirrors the tables in CALCULATION_PROMPT so the
+ * scoring engine produces exactly what the prompt describes.
+ */
+
+// Both axes start here before any adjustment
+export const SCORE_BASELINE = 50;
+
+// Final range of both axes
+export const SCORE_RANGE = { min: 0, max: 100 };
+
+// ============================================================================
+// X-AXIS (Emotional Bond)
+// ============================================================================
+
+export const X_SCORING_RULES = [
+  {
+    factor: 'Trust',
+    question: 'q8_trust',
+    adjustments: {
+      complete_trust: -25,
+      high_trust: -15,
+      moderate_trust: -5,
+      low_trust: 15,
+      no_trust: 25
+    }
+  },
+  {
+    factor: 'Sharing',
+    question: 'q5_sharing',
+    adjustments: {
+      share_everything: -20,
+      share_personal_struggles: -15,
+      share_some_personal: -5,
+      surface_conversations_only: 10
+    }
+  },
+  {
+    factor: 'Support',
+    question: 'q7_support',
+    adjustments: {
+      always_there: -15,
+      often_supportive: -10,
+      occasionally: 0,
+      rarely: 10,
+      never: 10
+    }
+  },
+  {
+    factor: 'Emergency',
+    question: 'q12_emergency',
+    adjustments: {
+      definitely_first_call: -15,
+      probably_would: -10,
+      depends_on_situation: 0,
+      probably_not: 10
+    }
+  },
+  {
+    factor: 'Origin',
+    question: 'q9_origin',
+    adjustments: {
+      family: -20,
+      childhood_friend: -15,
+      romantic: -15
+    }
+  },
+  {
+    factor: 'Sentiment',
+    question: 'q15_sentiment',
+    adjustments: {
+      cherished: -10,
+      positive: -5,
+      negative: 15
+    }
+  }
+];
+
+// ============================================================================
+// Y-AXIS (Communication)
+// ============================================================================
+
+export const Y_SCORING_RULES = [
+  {
+    factor: 'Frequency',
+    question: 'q1_frequency',
+    adjustments: {
+      daily: -45,
+      few_times_week: -30,
+      weekly: -20,
+      few_times_month: -10,
+      monthly: 0,
+      few_times_year: 20,
+      rarely: 35,
+      never: 45
+    }
+  },
+  {
+    factor: 'Last Interaction',
+    question: 'q4_last_interaction',
+    adjustments: {
+      today: -10,
+      this_week: -10,
+      this_month: 0,
+      few_months_ago: 10,
+      over_six_months: 20,
+      over_a_year: 35,
+      years_ago: 35 // Grouped with over_a_year
+    }
+  },
+  {
+    factor: 'Status',
+    question: 'q13_status',
+    adjustments: {
+      very_active: -15,
+      active: -10,
+      stable: 0,
+      cooling_off: 15,
+      dormant: 30
+    }
+  },
+  {
+    factor: 'Proximity',
+    question: 'q11_proximity',
+    adjustments: {
+      live_together: -15,
+      same_neighborhood: -10,
+      same_city: -5,
+      different_city: 5,
+      different_country: 10
+    }
+  }
+];
+
+// ============================================================================
+// CATEGORY CAPS
+// ============================================================================
+
+/**
+ * Upper bounds applied after clamping when a condition holds
+ */
+export const SCORE_CAPS = [
+  { axis: 'x', label: 'Family relationship', question: 'q9_origin', answer: 'family', max: 35 },
+  { axis: 'x', label: 'Romantic partner', question: 'q9_origin', answer: 'romantic', max: 25 },
+  { axis: 'y', label: 'Daily contact', question: 'q1_frequency', answer: 'daily', max: 20 }
+];
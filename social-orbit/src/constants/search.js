@@ -0,0 +1,27 @@
+/**
+ * Search & Filter Configuration
+ */
+
+export const EMPTY_FRIEND_FILTERS = {
+  query: '',
+  category: '',
+  zone: '',
+  tag: '',
+  icon: '',
+  lastContact: ''
+};
+
+// Last-contact buckets; days since the last logged (or estimated) contact
+export const LAST_CONTACT_FILTERS = [
+  { id: 'week', label: 'Past week', maxDays: 7 },
+  { id: 'month', label: 'Past month', maxDays: 30 },
+  { id: 'quarter', label: 'Past 3 months', maxDays: 90 },
+  { id: 'older', label: 'Over 3 months ago', minDays: 90 },
+  { id: 'unknown', label: 'Never / unknown' }
+];
+
+// Zoom level used when flying to a search result
+export const FLY_TO_SCALE = 2;
+
+// Most results listed under the search box
+export const SEARCH_RESULT_LIMIT = 8;
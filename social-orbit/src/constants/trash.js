@@ -0,0 +1,14 @@
+/**
+ * Trash Configuration
+ * How long deleted friends stay restorable
+ */
+
+export const DEFAULT_TRASH_SETTINGS = {
+  retentionDays: 30
+};
+
+// Shown on the timeline for friends purged from the trash
+export const PURGED_FRIEND_NAME = 'Deleted friend';
+
+// 0 = keep until purged by hand
+export const TRASH_RETENTION_OPTIONS_DAYS = [7, 30, 90, 365, 0];
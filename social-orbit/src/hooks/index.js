@@ -4,3 +4,4 @@
 
 export { useGraphInteraction } from './useGraphInteraction';
 
+export { useUndoableState } from './useUndoableState';
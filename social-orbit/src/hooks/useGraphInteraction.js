@@ -8,16 +8,18 @@
  */
 
 import { useState, useRef, useCallback } from 'react';
+import { createId } from '../utils/ids';
 
 /**
  * Custom hook for graph interaction
  * @param {Object} options - Hook options
  * @param {Function} options.onNodeClick - Callback when a node is clicked (not dragged)
- * @param {Function} options.onNodeDrag - Callback when a node is dragged with new position
+ * @param {Function} options.onNodeDrag - Callback when a node is dragged (nodeId, dx, dy, gestureId)
+ * @param {Function} options.onNodeDragEnd - Callback when a node drag finishes (nodeId, gestureId)
  * @param {React.RefObject} options.graphRef - Ref to the graph container for position calculations
  * @returns {Object} Interaction handlers and state
  */
-export function useGraphInteraction({ onNodeClick, onNodeDrag, graphRef }) {
+export function useGraphInteraction({ onNodeClick, onNodeDrag, onNodeDragEnd, graphRef }) {
   // Viewport state
   const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
   
@@ -28,7 +30,8 @@ export function useGraphInteraction({ onNodeClick, onNodeDrag, graphRef }) {
     targetId: null,
     startX: 0,
     startY: 0,
-    hasMoved: false
+    hasMoved: false,
+    gestureId: null // One per mousedown, shared by every update of that drag
   });
 
   // Handle mouse wheel for zooming
@@ -49,7 +52,8 @@ export function useGraphInteraction({ onNodeClick, onNodeDrag, graphRef }) {
       targetId: null,
       startX: e.clientX,
       startY: e.clientY,
-      hasMoved: false
+      hasMoved: false,
+      gestureId: null
     };
   }, []);
 
@@ -62,7 +66,8 @@ export function useGraphInteraction({ onNodeClick, onNodeDrag, graphRef }) {
       targetId: nodeId,
       startX: e.clientX,
       startY: e.clientY,
-      hasMoved: false
+      hasMoved: false,
+      gestureId: createId()
     };
   }, []);
 
@@ -94,7 +99,7 @@ export function useGraphInteraction({ onNodeClick, onNodeDrag, graphRef }) {
         const percentDy = (dy / currentScale / rect.height) * 100;
 
         if (onNodeDrag) {
-          onNodeDrag(dragInfo.current.targetId, percentDx, percentDy);
+          onNodeDrag(dragInfo.current.targetId, percentDx, percentDy, dragInfo.current.gestureId);
         }
       }
     }
@@ -106,15 +111,21 @@ export function useGraphInteraction({ onNodeClick, onNodeDrag, graphRef }) {
 
   // Handle mouse up (end drag, detect click)
   const handleMouseUp = useCallback(() => {
-    const { isDragging, hasMoved, type, targetId } = dragInfo.current;
+    const { isDragging, hasMoved, type, targetId, gestureId } = dragInfo.current;
 
     // If it was a click (not a drag) on a node, trigger click handler
     if (isDragging && !hasMoved && type === 'node' && onNodeClick) {
       onNodeClick(targetId);
     }
 
+    if (isDragging && hasMoved && type === 'node' && onNodeDragEnd) {
+      onNodeDragEnd(targetId, gestureId);
+    }
+
+    // Closes the gesture: the next drag starts a new undo step
     dragInfo.current.isDragging = false;
-  }, [onNodeClick]);
+    dragInfo.current.gestureId = null;
+  }, [onNodeClick, onNodeDragEnd]);
 
   // Reset view to default
   const resetView = useCallback(() => {
@@ -0,0 +1,112 @@
+/**
+ * useUndoableState Hook
+ * State with an undo/redo stack of labeled snapshots.
+ *
+ * - commit(updater, { label, mergeKey, gestureId }) records an undoable step
+ * - set(updater) changes state without recording (loads, automatic updates)
+ * - Commits with the same gestureId collapse into one step however long the
+ *   gesture takes (e.g. every mouse move of a drag, from mousedown to mouseup)
+ * - Commits with the same mergeKey within the merge window collapse into
+ *   one step (e.g. typing into a field)
+ */
+
+import { useState, useCallback } from 'react';
+
+const DEFAULT_LIMIT = 50;
+const DEFAULT_MERGE_WINDOW_MS = 1000;
+
+const resolve = (updater, prev) => (typeof updater === 'function' ? updater(prev) : updater);
+
+/**
+ * Custom hook for undoable state
+ * @param {*} initialValue - Initial present value
+ * @param {Object} options
+ * @param {number} options.limit - Max undo steps kept (oldest dropped)
+ * @param {number} options.mergeWindowMs - Max gap between merged commits
+ * @returns {Object} State, setters and undo/redo controls
+ */
+export function useUndoableState(initialValue, { limit = DEFAULT_LIMIT, mergeWindowMs = DEFAULT_MERGE_WINDOW_MS } = {}) {
+  // past/future entries: { value, label, mergeKey, gestureId, at }
+  const [state, setState] = useState({ past: [], present: initialValue, future: [] });
+
+  const set = useCallback((updater) => {
+    setState((s) => {
+      const present = resolve(updater, s.present);
+      return present === s.present ? s : { ...s, present };
+    });
+  }, []);
+
+  const commit = useCallback((updater, { label = 'Change', mergeKey = null, gestureId = null } = {}) => {
+    setState((s) => {
+      const present = resolve(updater, s.present);
+      if (present === s.present) return s;
+
+      const now = Date.now();
+      const last = s.past[s.past.length - 1];
+      const merges = !!last && s.future.length === 0 && (gestureId
+        ? last.gestureId === gestureId
+        : !!mergeKey && last.mergeKey === mergeKey && now - last.at <= mergeWindowMs);
+      if (merges) {
+        // Keep the snapshot from before the first merged commit
+        return { past: [...s.past.slice(0, -1), { ...last, at: now }], present, future: [] };
+      }
+
+      const entry = { value: s.present, label, mergeKey, gestureId, at: now };
+      return { past: [...s.past, entry].slice(-limit), present, future: [] };
+    });
+  }, [limit, mergeWindowMs]);
+
+  const undo = useCallback(() => {
+    setState((s) => {
+      const last = s.past[s.past.length - 1];
+      if (!last) return s;
+      return {
+        past: s.past.slice(0, -1),
+        present: last.value,
+        future: [{ value: s.present, label: last.label, mergeKey: null, gestureId: null, at: Date.now() }, ...s.future]
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState((s) => {
+      const next = s.future[0];
+      if (!next) return s;
+      return {
+        past: [...s.past, { value: s.present, label: next.label, mergeKey: null, gestureId: null, at: Date.now() }].slice(-limit),
+        present: next.value,
+        future: s.future.slice(1)
+      };
+    });
+  }, [limit]);
+
+  // Rewrite every stored snapshot, e.g. to drop permanently deleted records
+  const mapHistory = useCallback((fn) => {
+    setState((s) => ({
+      ...s,
+      past: s.past.map((entry) => ({ ...entry, value: fn(entry.value) })),
+      future: s.future.map((entry) => ({ ...entry, value: fn(entry.value) }))
+    }));
+  }, []);
+
+  // Replace everything, e.g. on vault load/lock
+  const reset = useCallback((present, { past = [], future = [] } = {}) => {
+    setState({ past, present, future });
+  }, []);
+
+  return {
+    present: state.present,
+    past: state.past,
+    future: state.future,
+    set,
+    commit,
+    undo,
+    redo,
+    reset,
+    mapHistory,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    undoLabel: state.past[state.past.length - 1]?.label ?? null,
+    redoLabel: state.future[0]?.label ?? null
+  };
+}
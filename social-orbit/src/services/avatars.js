@@ -0,0 +1,87 @@
+/**
+ * Avatars
+ *
+ * Friend photos are kept out of the friends array: each one is a JPEG data
+ * URL under its own vault key (`avatar:<friendId>`), encrypted like every
+ * other vault entry. The 'avatarIds' key lists which friends have one so
+ * they can be loaded on unlock.
+ */
+
+import { AVATAR_SIZE, AVATAR_JPEG_QUALITY, AVATAR_MAX_UPLOAD_BYTES } from '../constants/avatars';
+
+export const AVATAR_INDEX_KEY = 'avatarIds';
+
+export function getAvatarKey(friendId) {
+  return `avatar:${friendId}`;
+}
+
+// ============================================================================
+// IMAGE PROCESSING
+// ============================================================================
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not read the image'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Center-crop an uploaded image to a square and downscale it
+ * @param {File} file - Image chosen by the user
+ * @returns {Promise<string>} JPEG data URL, AVATAR_SIZE pixels square
+ */
+export async function createAvatarImage(file) {
+  if (!file?.type?.startsWith('image/')) throw new Error('Please choose an image file');
+  if (file.size > AVATAR_MAX_UPLOAD_BYTES) throw new Error('Image is too large (20 MB max)');
+
+  const image = await loadImage(file);
+  const side = Math.min(image.naturalWidth, image.naturalHeight);
+  const canvas = document.createElement('canvas');
+  canvas.width = AVATAR_SIZE;
+  canvas.height = AVATAR_SIZE;
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(
+    image,
+    (image.naturalWidth - side) / 2,
+    (image.naturalHeight - side) / 2,
+    side,
+    side,
+    0,
+    0,
+    AVATAR_SIZE,
+    AVATAR_SIZE
+  );
+
+  return canvas.toDataURL('image/jpeg', AVATAR_JPEG_QUALITY);
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Read every stored avatar listed in the index
+ * @param {Object} storage - Unlocked secureStorage
+ * @returns {Promise<Object>} Data URLs by friend ID
+ */
+export async function loadAvatars(storage) {
+  const ids = await storage.getItem(AVATAR_INDEX_KEY) || [];
+  const avatars = {};
+  for (const id of ids) {
+    const avatar = await storage.getItem(getAvatarKey(id));
+    if (avatar) avatars[id] = avatar;
+  }
+  return avatars;
+}
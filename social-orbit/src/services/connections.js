@@ -0,0 +1,104 @@
+/**
+ * Friend Connections
+ *
+ * Undirected edges between two friends, stored in the vault separately from
+ * the friend records:
+ *   { id, a, b, type, strength, note }
+ * Edges to trashed friends are kept (restoring brings them back) and only
+ * drawn while both ends are on the graph.
+ */
+
+import { createId } from '../utils/ids';
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+/**
+ * New connection between two friends
+ */
+export function createConnection({ a, b, type, strength, note }) {
+  return {
+    id: createId(),
+    a,
+    b,
+    type,
+    strength,
+    note: note?.trim() || ''
+  };
+}
+
+/**
+ * Whether two friends are already connected
+ */
+export function areConnected(connections, a, b) {
+  return connections.some((c) => (c.a === a && c.b === b) || (c.a === b && c.b === a));
+}
+
+/**
+ * Drop edges touching any of the given friend IDs (permanent deletes)
+ */
+export function removeConnectionsFor(connections, friendIds) {
+  const ids = new Set(friendIds);
+  return connections.filter((c) => !ids.has(c.a) && !ids.has(c.b));
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * A friend's edges, each with `otherId` set to the friend on the other end
+ */
+export function getConnectionsFor(connections, friendId) {
+  return connections
+    .filter((c) => c.a === friendId || c.b === friendId)
+    .map((c) => ({ ...c, otherId: c.a === friendId ? c.b : c.a }));
+}
+
+/**
+ * Edges whose both ends are among `friends` (e.g. the visible network)
+ */
+export function getVisibleConnections(connections, friends) {
+  const ids = new Set(friends.map((f) => f.id));
+  return connections.filter((c) => ids.has(c.a) && ids.has(c.b));
+}
+
+/**
+ * How many separate groups a friend links together
+ * Counts the groups their connected friends fall into once the friend is
+ * taken out of the network; 2 or more means they bridge otherwise
+ * unconnected circles.
+ */
+export function getBridgedGroupCount(connections, friendId) {
+  const neighbors = getConnectionsFor(connections, friendId).map((c) => c.otherId);
+  if (neighbors.length < 2) return neighbors.length;
+
+  // Adjacency without the friend itself
+  const adjacency = new Map();
+  for (const { a, b } of connections) {
+    if (a === friendId || b === friendId) continue;
+    if (!adjacency.has(a)) adjacency.set(a, []);
+    if (!adjacency.has(b)) adjacency.set(b, []);
+    adjacency.get(a).push(b);
+    adjacency.get(b).push(a);
+  }
+
+  const seen = new Set();
+  let groups = 0;
+  for (const start of neighbors) {
+    if (seen.has(start)) continue;
+    groups++;
+    const stack = [start];
+    seen.add(start);
+    while (stack.length) {
+      for (const next of adjacency.get(stack.pop()) || []) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+  }
+  return groups;
+}
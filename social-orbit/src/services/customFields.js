@@ -0,0 +1,230 @@
+/**
+ * Custom Fields & Important Dates
+ *
+ * Field definitions live in the vault as
+ *   { id, label, type, options, recurring }
+ * and each friend stores values by field ID in `friend.customFields`.
+ * Values of deleted definitions stay on the record but are never shown.
+ * Date values are 'YYYY-MM-DD'; recurring dates (birthdays, anniversaries)
+ * come back every year.
+ */
+
+import { DEFAULT_CUSTOM_FIELD_TYPE, UPCOMING_DATES_WINDOW_DAYS, LINK_PROTOCOLS } from '../constants/customFields';
+import { createId } from '../utils/ids';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+export function createFieldDefinition({ label = '', type = DEFAULT_CUSTOM_FIELD_TYPE } = {}) {
+  return { id: createId(), label, type, options: [], recurring: type === 'date' };
+}
+
+/**
+ * Parse a comma-separated option list for select fields
+ */
+export function parseFieldOptions(text) {
+  return [...new Set(text.split(',').map((option) => option.trim()).filter(Boolean))];
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+/**
+ * Keep only non-empty string/number values
+ */
+export function normalizeFieldValues(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return {};
+  const result = {};
+  for (const [id, value] of Object.entries(values)) {
+    if (typeof value === 'number' && Number.isFinite(value)) result[id] = value;
+    else if (typeof value === 'string' && value.trim()) result[id] = value;
+  }
+  return result;
+}
+
+/**
+ * Convert an input's value for storage ('' clears the field)
+ */
+export function parseFieldInput(definition, raw) {
+  if (raw === '') return '';
+  if (definition.type === 'number') {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : '';
+  }
+  return raw;
+}
+
+/**
+ * Link target for a URL field value, or null unless it's an http(s) address
+ * (keeps javascript: and data: values out of hrefs)
+ */
+export function getLinkHref(value) {
+  if (typeof value !== 'string') return null;
+  try {
+    const url = new URL(value.trim());
+    return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Set one value on a friend's custom field map
+ */
+export function setFieldValue(values = {}, definition, raw) {
+  const next = { ...values };
+  const value = parseFieldInput(definition, raw);
+  if (value === '') delete next[definition.id];
+  else next[definition.id] = value;
+  return next;
+}
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+function parseDate(value) {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) return null;
+  return { year: Number(match[1]), month: Number(match[2]) - 1, day: Number(match[3]) };
+}
+
+// Feb 29 falls back to Feb 28 in non-leap years
+function dateInYear({ month, day }, year) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * Next time a date comes around, today included
+ * @returns {Date|null} null for past one-off dates or invalid values
+ */
+export function getNextOccurrence(value, recurring, now = Date.now()) {
+  const parsed = parseDate(value);
+  if (!parsed) return null;
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  if (!recurring) {
+    const date = new Date(parsed.year, parsed.month, parsed.day);
+    return date >= today ? date : null;
+  }
+
+  const thisYear = dateInYear(parsed, today.getFullYear());
+  return thisYear >= today ? thisYear : dateInYear(parsed, today.getFullYear() + 1);
+}
+
+/**
+ * Dates coming up across the network, soonest first
+ * @returns {Array} [{ friendId, name, fieldId, label, date, daysUntil, years }]
+ *   years = how many years the date marks (birthday age, anniversary), or null
+ */
+export function getUpcomingDates(friends, definitions, now = Date.now(), windowDays = UPCOMING_DATES_WINDOW_DAYS) {
+  const dateFields = definitions.filter((d) => d.type === 'date');
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  const upcoming = [];
+
+  for (const friend of friends) {
+    for (const field of dateFields) {
+      const value = friend.customFields?.[field.id];
+      const next = getNextOccurrence(value, field.recurring, now);
+      if (!next) continue;
+
+      const daysUntil = Math.round((next - today) / DAY_MS);
+      if (daysUntil > windowDays) continue;
+
+      const years = field.recurring ? next.getFullYear() - parseDate(value).year : null;
+      upcoming.push({
+        friendId: friend.id,
+        name: friend.name,
+        fieldId: field.id,
+        label: field.label,
+        date: toDateString(next),
+        daysUntil,
+        years: years > 0 ? years : null
+      });
+    }
+  }
+
+  return upcoming.sort((a, b) => a.daysUntil - b.daysUntil || a.name.localeCompare(b.name));
+}
+
+// ============================================================================
+// CALENDAR EXPORT
+// ============================================================================
+
+const escapeText = (text) =>
+  String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+// Lines longer than 75 octets of UTF-8 continue on the next line after a
+// space (which counts toward that line), never splitting a character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Feb 29 repeats on the last day of February so it isn't skipped in common years
+const yearlyRule = ({ month, day }) =>
+  (month === 1 && day === 29 ? 'RRULE:FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1' : 'RRULE:FREQ=YEARLY');
+
+/**
+ * iCalendar (.ics) file with every date field of every friend
+ * Recurring dates repeat yearly; all events are all-day.
+ */
+export function buildCalendar(friends, definitions, now = Date.now()) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Social Orbit//Important Dates//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  for (const field of definitions.filter((d) => d.type === 'date')) {
+    for (const friend of friends) {
+      const parsed = parseDate(friend.customFields?.[field.id]);
+      if (!parsed) continue;
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${friend.id}-${field.id}@social-orbit`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${parsed.year}${pad(parsed.month + 1)}${pad(parsed.day)}`,
+        `SUMMARY:${escapeText(`${friend.name}: ${field.label}`)}`,
+        ...(field.recurring ? [yearlyRule(parsed)] : []),
+        'END:VEVENT'
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,97 @@
+/**
+ * Contact Decay Engine
+ *
+ * Pushes a friend's Time Gap (Y) outward when contact is overdue.
+ *
+ * - Baseline: the last position not produced by decay (analysis, recalc, manual)
+ * - Overdue: days since max(last logged interaction, baseline) minus the
+ *   interval expected from q1_frequency
+ * - Curve: gap to Y=100 closes by half every `halfLifeDays` overdue
+ *
+ * Decay is always computed from the baseline, so running it on every unlock
+ * doesn't compound, and logging a new interaction pulls the friend back.
+ * Only friends with a journal are affected; locked positions are left alone.
+ */
+
+import {
+  FREQUENCY_INTERVAL_DAYS,
+  DEFAULT_INTERVAL_DAYS,
+  DEFAULT_DECAY_SETTINGS
+} from '../constants/decay';
+import { getLastInteractionTime } from './interactionJournal';
+import { recordPosition, POSITION_SOURCES } from './positionHistory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// MODEL
+// ============================================================================
+
+/**
+ * Latest non-decay position entry (falls back to the current position)
+ * @returns {Object} { y, at }
+ */
+function getBaseline(friend) {
+  const history = friend.history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].source !== POSITION_SOURCES.DECAY) {
+      return { y: history[i].y, at: history[i].at };
+    }
+  }
+  return { y: friend.y, at: null };
+}
+
+/**
+ * Expected days between contacts for this friend
+ * @returns {number|null} null when no contact is expected
+ */
+function getExpectedInterval(friend) {
+  const frequency = friend.extractedData?.q1_frequency;
+  if (frequency && frequency in FREQUENCY_INTERVAL_DAYS) {
+    return FREQUENCY_INTERVAL_DAYS[frequency];
+  }
+  return DEFAULT_INTERVAL_DAYS;
+}
+
+/**
+ * Decayed Y for a friend, or null when decay doesn't apply
+ */
+export function computeDecayedY(friend, settings = DEFAULT_DECAY_SETTINGS, now = Date.now()) {
+  if (!settings.enabled || friend.positionLocked) return null;
+
+  const lastContact = getLastInteractionTime(friend);
+  if (lastContact === null) return null;
+
+  const interval = getExpectedInterval(friend);
+  if (interval === null) return null;
+
+  const baseline = getBaseline(friend);
+  const reference = Math.max(lastContact, baseline.at ?? 0);
+  const overdueDays = (now - reference) / DAY_MS - interval;
+  if (overdueDays <= 0) return baseline.y;
+
+  const fraction = 1 - 0.5 ** (overdueDays / settings.halfLifeDays);
+  return Math.min(100, baseline.y + (100 - baseline.y) * fraction);
+}
+
+// ============================================================================
+// APPLY
+// ============================================================================
+
+/**
+ * Apply decay to every friend
+ * @returns {Object} { friends, changes: [{ id, name, from, to }] }
+ */
+export function applyContactDecay(friends, settings = DEFAULT_DECAY_SETTINGS, now = Date.now()) {
+  const changes = [];
+
+  const updated = friends.map((friend) => {
+    const y = computeDecayedY(friend, settings, now);
+    if (y === null || Math.round(y) === Math.round(friend.y)) return friend;
+
+    changes.push({ id: friend.id, name: friend.name, from: friend.y, to: y });
+    return recordPosition({ ...friend, y }, POSITION_SOURCES.DECAY, now);
+  });
+
+  return { friends: changes.length ? updated : friends, changes };
+}
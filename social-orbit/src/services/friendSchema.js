@@ -0,0 +1,202 @@
+/**
+ * Friend Record Schema
+ *
+ * The one place that defines what a stored friend looks like. Records are
+ * normalized on load (through the migration chain) and whenever they are
+ * created or rewritten, so stale fields are dropped and new fields always
+ * have defaults.
+ *
+ * To change the schema: bump FRIEND_SCHEMA_VERSION, add a step to
+ * FRIEND_MIGRATIONS for the new version, and update FRIEND_FIELDS.
+ */
+
+import { ICON_MAP, DEFAULT_ICON } from '../constants/icons';
+import { DEFAULT_COLOR } from '../constants/colors';
+import { createId } from '../utils/ids';
+import { normalizeTags } from './friendSearch';
+import { normalizeFieldValues } from './customFields';
+
+/**
+ * @typedef {Object} FriendRecord
+ * @property {number} schemaVersion - FRIEND_SCHEMA_VERSION when last normalized
+ * @property {string} id - UUID, stable across edits and recalculation
+ * @property {string} name
+ * @property {string} gender
+ * @property {string} age - Free text as entered
+ * @property {string} description - Relationship description fed to the analysis
+ * @property {number} x - Emotional distance, 0-100
+ * @property {number} y - Time gap, 0-100
+ * @property {string} icon - Key of ICON_MAP
+ * @property {string} color - Hex color
+ * @property {string} summary
+ * @property {string} reasoning
+ * @property {string|null} category - Coordinate validation category
+ * @property {Object|null} extractedData - q1-q15 answers
+ * @property {Array} validationIssues - Answers that failed validation
+ * @property {Array|null} embedding - Vector for similarity context
+ * @property {boolean} positionLocked - Hand-placed; recalculation keeps x/y
+ * @property {Array} history - [{ x, y, at, source }], see positionHistory
+ * @property {number|null} createdAt - First time on the graph
+ * @property {Array} interactions - [{ id, date, channel, note, mood }], see interactionJournal
+ * @property {number|null} reminderCadenceDays - Per-friend reach-out cadence (0 = never)
+ * @property {number|null} reminderSnoozedUntil - Reminder hidden until this time
+ * @property {Array} tags - Free-form labels, trimmed and lowercase
+ * @property {Object} customFields - Values of user-defined fields by field ID, see customFields
+ */
+
+export const FRIEND_SCHEMA_VERSION = 3;
+
+// Default for every field except id/name, which a record must bring
+export const FRIEND_DEFAULTS = {
+  gender: 'Non-binary',
+  age: '',
+  description: '',
+  x: 50,
+  y: 50,
+  icon: DEFAULT_ICON,
+  color: DEFAULT_COLOR,
+  summary: '',
+  reasoning: '',
+  category: null,
+  extractedData: null,
+  validationIssues: [],
+  embedding: null,
+  positionLocked: false,
+  history: [],
+  createdAt: null,
+  interactions: [],
+  reminderCadenceDays: null,
+  reminderSnoozedUntil: null,
+  tags: [],
+  customFields: {}
+};
+
+export const FRIEND_FIELDS = ['schemaVersion', 'id', 'name', ...Object.keys(FRIEND_DEFAULTS)];
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+/**
+ * Steps from one schema version to the next, in order
+ * Each `migrate` receives a record at version - 1 and returns it at `version`;
+ * normalizeFriend runs after the chain, so steps only handle renames/reshapes.
+ */
+export const FRIEND_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Unversioned records: drop single-step analysis fields',
+    migrate: (friend) => {
+      const { x_reasoning, y_reasoning, ...rest } = friend;
+      // Older prompts explained each axis separately; fold into reasoning
+      if (!rest.reasoning && (x_reasoning || y_reasoning)) {
+        rest.reasoning = [x_reasoning, y_reasoning].filter(Boolean).join(' ');
+      }
+      return rest;
+    }
+  },
+  {
+    version: 2,
+    description: 'Add free-form tags',
+    migrate: (friend) => ({ ...friend, tags: friend.tags ?? [] })
+  },
+  {
+    version: 3,
+    description: 'Add custom field values',
+    migrate: (friend) => ({ ...friend, customFields: friend.customFields ?? {} })
+  }
+];
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const clampCoordinate = (value) => Math.min(Math.max(value, 0), 100);
+const toNumber = (value) => (value === '' || value === null ? NaN : Number(value));
+
+const isValidHistoryEntry = (entry) =>
+  entry && isFiniteNumber(entry.x) && isFiniteNumber(entry.y) && isFiniteNumber(entry.at);
+
+const isValidInteraction = (entry) =>
+  entry && typeof entry.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(entry.date);
+
+/**
+ * Coerce a record to the current schema
+ * Unknown fields are dropped and missing ones filled from FRIEND_DEFAULTS.
+ * @param {Object} record
+ * @returns {Object} { friend, error } - error is set when the record can't be repaired
+ */
+export function normalizeFriend(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { friend: null, error: 'Not a friend record' };
+  }
+
+  const name = typeof record.name === 'string' ? record.name.trim() : '';
+  if (!name) return { friend: null, error: 'Missing name' };
+
+  const history = Array.isArray(record.history) ? record.history.filter(isValidHistoryEntry) : [];
+
+  // Coordinates fall back to the last known position
+  const last = history[history.length - 1];
+  let x = toNumber(record.x);
+  let y = toNumber(record.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    if (!last) return { friend: null, error: 'Missing position' };
+    x = last.x;
+    y = last.y;
+  }
+
+  const friend = { ...FRIEND_DEFAULTS };
+  for (const key of FRIEND_FIELDS) {
+    if (record[key] !== undefined && record[key] !== null) friend[key] = record[key];
+  }
+
+  return {
+    friend: {
+      ...friend,
+      schemaVersion: FRIEND_SCHEMA_VERSION,
+      id: record.id ?? createId(),
+      name,
+      age: String(friend.age),
+      x: clampCoordinate(x),
+      y: clampCoordinate(y),
+      icon: ICON_MAP[friend.icon] ? friend.icon : DEFAULT_ICON,
+      positionLocked: Boolean(friend.positionLocked),
+      history,
+      interactions: Array.isArray(friend.interactions) ? friend.interactions.filter(isValidInteraction) : [],
+      validationIssues: Array.isArray(friend.validationIssues) ? friend.validationIssues : [],
+      tags: normalizeTags(friend.tags),
+      customFields: normalizeFieldValues(friend.customFields)
+    },
+    error: null
+  };
+}
+
+/**
+ * Build a schema-conforming record from merged fields
+ * Use wherever friends are created or rewritten (add, edit, recalculation).
+ */
+export function toFriendRecord(fields) {
+  return normalizeFriend(fields).friend ?? fields;
+}
+
+/**
+ * Run a stored record through the migration chain and normalize it
+ * @returns {Object} { friend, error }
+ */
+export function migrateFriend(record) {
+  const from = record?.schemaVersion ?? 0;
+  if (from > FRIEND_SCHEMA_VERSION) {
+    return { friend: null, error: `Saved by a newer version (schema ${from})` };
+  }
+
+  let migrated = record;
+  for (const step of FRIEND_MIGRATIONS) {
+    if (step.version > from && migrated && typeof migrated === 'object') {
+      migrated = step.migrate(migrated);
+    }
+  }
+
+  return normalizeFriend(migrated);
+}
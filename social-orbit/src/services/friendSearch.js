@@ -0,0 +1,104 @@
+/**
+ * Friend Search & Filters
+ *
+ * Free-text search over name, description, summary and tags, combined with
+ * filters for category, zone, tag, icon and last contact. An empty filter
+ * value matches everything.
+ */
+
+import { LAST_CONTACT_FILTERS } from '../constants/search';
+import { categorizeRelationship } from './relationshipContext';
+import { getReminderZone, getLastContact } from './reminderEngine';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// TAGS
+// ============================================================================
+
+/**
+ * Tags are stored trimmed and lowercase, without duplicates
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  const cleaned = tags
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(cleaned)];
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Does the friend match a free-text query (all words must appear)
+ */
+export function matchesQuery(friend, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const text = [friend.name, friend.description, friend.summary, ...(friend.tags || [])]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+}
+
+function matchesLastContact(friend, bucketId, now) {
+  const bucket = LAST_CONTACT_FILTERS.find((b) => b.id === bucketId);
+  if (!bucket) return true;
+
+  const contact = getLastContact(friend);
+  if (!bucket.maxDays && !bucket.minDays) return contact === null;
+  if (!contact) return false;
+
+  const days = (now - contact.time) / DAY_MS;
+  if (bucket.maxDays !== undefined && days > bucket.maxDays) return false;
+  if (bucket.minDays !== undefined && days <= bucket.minDays) return false;
+  return true;
+}
+
+/**
+ * Does the friend pass every active filter (see EMPTY_FRIEND_FILTERS)
+ */
+export function matchesFilters(friend, filters, now = Date.now()) {
+  if (!matchesQuery(friend, filters.query)) return false;
+  if (filters.category && categorizeRelationship(friend.description) !== filters.category) return false;
+  if (filters.zone && getReminderZone(friend).id !== filters.zone) return false;
+  if (filters.tag && !(friend.tags || []).includes(filters.tag)) return false;
+  if (filters.icon && friend.icon !== filters.icon) return false;
+  if (filters.lastContact && !matchesLastContact(friend, filters.lastContact, now)) return false;
+  return true;
+}
+
+export function hasActiveFilters(filters) {
+  return Object.values(filters).some((value) => value.trim() !== '');
+}
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+/**
+ * Values present in the network, for the filter dropdowns
+ * @returns {Object} { categories, tags, icons } - each sorted
+ */
+export function getFilterOptions(friends) {
+  const categories = new Set();
+  const tags = new Set();
+  const icons = new Set();
+
+  for (const friend of friends) {
+    categories.add(categorizeRelationship(friend.description));
+    (friend.tags || []).forEach((tag) => tags.add(tag));
+    icons.add(friend.icon);
+  }
+
+  return {
+    categories: [...categories].sort(),
+    tags: [...tags].sort(),
+    icons: [...icons].sort()
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Groups
+ *
+ * Named circles of friends, stored in the vault as
+ *   { id, name, color, memberIds }
+ * A friend can be in any number of groups. Members in the trash stay listed
+ * (restoring brings them back) and are skipped when drawing or selecting.
+ */
+
+import { createId } from '../utils/ids';
+
+// Space around members inside a hull, in graph percent units
+export const HULL_PADDING = 4;
+const HULL_PADDING_STEPS = 8;
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+export function createGroup({ name, color }) {
+  return { id: createId(), name: name.trim(), color, memberIds: [] };
+}
+
+/**
+ * Add or remove a friend from a group
+ */
+export function toggleGroupMember(group, friendId) {
+  const memberIds = group.memberIds.includes(friendId)
+    ? group.memberIds.filter((id) => id !== friendId)
+    : [...group.memberIds, friendId];
+  return { ...group, memberIds };
+}
+
+/**
+ * Drop friend IDs from every group (permanent deletes)
+ */
+export function removeGroupMembers(groups, friendIds) {
+  const ids = new Set(friendIds);
+  return groups.map((group) => ({ ...group, memberIds: group.memberIds.filter((id) => !ids.has(id)) }));
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Members of a group among `friends` (e.g. only those on the graph)
+ */
+export function getGroupMembers(group, friends) {
+  const ids = new Set(group.memberIds);
+  return friends.filter((f) => ids.has(f.id));
+}
+
+/**
+ * IDs of friends in any of the given groups
+ */
+export function getMemberIdsOfGroups(groups, groupIds) {
+  const selected = new Set(groupIds);
+  return new Set(groups.filter((g) => selected.has(g.id)).flatMap((g) => g.memberIds));
+}
+
+// ============================================================================
+// HULLS
+// ============================================================================
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+/**
+ * Convex hull of 2D points (monotone chain), counter-clockwise
+ */
+export function convexHull(points) {
+  if (points.length < 3) return points.slice();
+
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+/**
+ * Padded hull around group members
+ * Each member contributes a ring of points so single members and pairs
+ * still get a visible shape.
+ * @returns {Array} [{ x, y }] polygon in graph percent units (empty if no members)
+ */
+export function getGroupHull(members, padding = HULL_PADDING) {
+  const points = [];
+  for (const { x, y } of members) {
+    for (let i = 0; i < HULL_PADDING_STEPS; i++) {
+      const angle = (2 * Math.PI * i) / HULL_PADDING_STEPS;
+      points.push({ x: x + padding * Math.cos(angle), y: y + padding * Math.sin(angle) });
+    }
+  }
+  return convexHull(points);
+}
@@ -0,0 +1,61 @@
+/**
+ * ID Migration
+ *
+ * Older vaults identified friends by `Date.now()` (plus `Math.random()` for
+ * bulk imports), which could collide. This rewrites every non-UUID ID in the
+ * loaded vault data and updates all references to it, so it runs once per
+ * vault and is a no-op afterwards.
+ */
+
+import { createId, isStableId } from '../utils/ids';
+
+/**
+ * Replace legacy IDs across loaded vault data
+ * @param {Object} data - As passed to onDataLoaded
+ * @returns {Object} { data, changed } - changed is false when nothing was rewritten
+ */
+export function migrateLegacyIds(data) {
+  const idMap = new Map();
+  let changed = false;
+
+  // Same legacy ID always maps to the same new one, so references stay linked
+  const remap = (id) => {
+    if (id === undefined || id === null || isStableId(id)) return id;
+    if (!idMap.has(id)) idMap.set(id, createId());
+    changed = true;
+    return idMap.get(id);
+  };
+
+  const remapRecord = (record) => {
+    if (!record || record.id === undefined || isStableId(record.id)) return record;
+    return { ...record, id: remap(record.id) };
+  };
+
+  // Friends first, so failed items and jobs resolve to their new IDs
+  const friends = (data.friends || []).map(remapRecord);
+  const removedFriends = (data.removedFriends || []).map(remapRecord);
+
+  const failedItems = (data.failedItems || []).map((item) => ({
+    ...remapRecord(item),
+    input: remapRecord(item.input)
+  }));
+
+  const pendingJob = data.pendingJob
+    ? {
+      ...data.pendingJob,
+      items: data.pendingJob.items.map((item) => ({
+        ...item,
+        input: remapRecord(item.input),
+        result: remapRecord(item.result)
+      }))
+    }
+    : data.pendingJob;
+
+  if (!changed) return { data, changed };
+
+  console.log(`Migrated ${idMap.size} legacy ID(s) to UUIDs`);
+  return {
+    data: { ...data, friends, removedFriends, failedItems, pendingJob },
+    changed
+  };
+}
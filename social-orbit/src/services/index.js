@@ -4,6 +4,121 @@
 
 export { analyzeFriend, analyzeFriendsBulk, recalculateFriends, generateMockAnalysis } from './llmService';
 
+export { createJob, runJob, getJobCounts, hasPendingItems, JOB_TYPES, JOB_LABELS } from './jobQueue';
+
+export {
+  recordPosition,
+  getTrail,
+  POSITION_SOURCES,
+  POSITION_SOURCE_LABELS,
+  HISTORY_LIMIT,
+  getAddedAt,
+  getTimelineRange,
+  getFriendAt,
+  getNetworkAt
+} from './positionHistory';
+
+export {
+  createInteraction,
+  sortInteractions,
+  getLastInteractionTime,
+  daysSinceLastInteraction,
+  formatInteractionsForPrompt,
+  todayString,
+  parseJournalDate
+} from './interactionJournal';
+
+export { computeDecayedY, applyContactDecay } from './decayEngine';
+
+export { migrateLegacyIds } from './idMigration';
+
+export {
+  FRIEND_SCHEMA_VERSION,
+  FRIEND_DEFAULTS,
+  FRIEND_FIELDS,
+  FRIEND_MIGRATIONS,
+  normalizeFriend,
+  toFriendRecord,
+  migrateFriend
+} from './friendSchema';
+
+export { migrateVault } from './vaultMigration';
+
+export {
+  HULL_PADDING,
+  createGroup,
+  toggleGroupMember,
+  removeGroupMembers,
+  getGroupMembers,
+  getMemberIdsOfGroups,
+  convexHull,
+  getGroupHull
+} from './groups';
+
+export {
+  createConnection,
+  areConnected,
+  removeConnectionsFor,
+  getConnectionsFor,
+  getVisibleConnections,
+  getBridgedGroupCount
+} from './connections';
+
+export {
+  isPurged,
+  getTrashItems,
+  toTombstone,
+  getPurgeAt,
+  getDaysUntilPurge,
+  partitionExpired,
+  restoreFromTrash
+} from './trash';
+
+export {
+  UNDO_LIMIT,
+  UNDO_MERGE_WINDOW_MS,
+  getUndoSessionId,
+  serializeUndoHistory,
+  restoreUndoHistory
+} from './undoHistory';
+
+export {
+  getReminderZone,
+  getUsualIntervalDays,
+  getCadenceDays,
+  getLastContact,
+  getReminder,
+  getOverdueReminders
+} from './reminderEngine';
+
+export {
+  normalizeTags,
+  matchesQuery,
+  matchesFilters,
+  hasActiveFilters,
+  getFilterOptions
+} from './friendSearch';
+
+export {
+  createFieldDefinition,
+  parseFieldOptions,
+  normalizeFieldValues,
+  setFieldValue,
+  getLinkHref,
+  getNextOccurrence,
+  getUpcomingDates,
+  buildCalendar
+} from './customFields';
+
+export {
+  AVATAR_INDEX_KEY,
+  getAvatarKey,
+  createAvatarImage,
+  loadAvatars
+} from './avatars';
+
+export { calculateScore, scoreAnswers, describeScore, formatAnswer, formatAdjustment } from './scoringEngine';
+
 export { 
   findSimilarRelationships, 
   categorizeRelationship, 
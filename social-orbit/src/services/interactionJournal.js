@@ -0,0 +1,104 @@
+/**
+ * Interaction Journal
+ *
+ * Dated log of real contact with a friend:
+ *   friend.interactions = [{ id, date: 'YYYY-MM-DD', channel, note, mood }]
+ * Kept newest first. Recent entries are sent with every analysis so the
+ * frequency and last-contact answers come from logged events.
+ */
+
+import { INTERACTION_CHANNELS, INTERACTION_MOODS, JOURNAL_PROMPT_LIMIT } from '../constants/interactions';
+import { createId } from '../utils/ids';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Today's date as YYYY-MM-DD (local time)
+ */
+export function todayString(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD journal date as local midnight
+ */
+export function parseJournalDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).getTime();
+}
+
+function labelFor(list, id) {
+  return list.find((item) => item.id === id)?.label || id;
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Build a journal entry from form input
+ */
+export function createInteraction({ date, channel, note, mood }) {
+  return {
+    id: createId(),
+    date: date || todayString(),
+    channel,
+    note: note?.trim() || '',
+    mood
+  };
+}
+
+/**
+ * Entries sorted newest first
+ */
+export function sortInteractions(interactions = []) {
+  return [...interactions].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Timestamp of the most recent logged interaction, or null
+ */
+export function getLastInteractionTime(friend) {
+  const [latest] = sortInteractions(friend.interactions);
+  return latest ? parseJournalDate(latest.date) : null;
+}
+
+/**
+ * Whole days since the most recent logged interaction, or null
+ */
+export function daysSinceLastInteraction(friend, now = Date.now()) {
+  const last = getLastInteractionTime(friend);
+  return last === null ? null : Math.max(0, Math.floor((now - last) / DAY_MS));
+}
+
+// ============================================================================
+// PROMPT
+// ============================================================================
+
+/**
+ * Render recent entries for the extraction prompt
+ * @returns {string} Empty string when nothing is logged
+ */
+export function formatInteractionsForPrompt(interactions, now = new Date()) {
+  const recent = sortInteractions(interactions).slice(0, JOURNAL_PROMPT_LIMIT);
+  if (recent.length === 0) return '';
+
+  const lines = recent.map((entry) => {
+    const mood = labelFor(INTERACTION_MOODS, entry.mood);
+    const channel = labelFor(INTERACTION_CHANNELS, entry.channel);
+    return `- ${entry.date} | ${channel} | mood: ${mood}${entry.note ? ` | ${entry.note}` : ''}`;
+  });
+
+  const total = interactions.length;
+  return `
+## Interaction Log (${recent.length} most recent of ${total}, newest first; today is ${todayString(now)}):
+${lines.join('\n')}
+
+Base q1_frequency and q4_last_interaction on these logged dates rather than on the description alone.
+`;
+}
@@ -0,0 +1,111 @@
+/**
+ * Job Queue
+ *
+ * Runs bulk analyses and recalculations item by item. Each job is a plain,
+ * serializable object so it can be saved to the vault after every item and
+ * resumed from where it stopped (tab closed, vault locked, cancelled).
+ */
+
+import { isAbortError } from '../utils/httpTransport';
+
+// ============================================================================
+// JOB SHAPE
+// ============================================================================
+
+export const JOB_TYPES = {
+  BULK: 'bulk',
+  RECALCULATE: 'recalculate'
+};
+
+export const JOB_LABELS = {
+  [JOB_TYPES.BULK]: 'Bulk import',
+  [JOB_TYPES.RECALCULATE]: 'Recalculation'
+};
+
+/**
+ * Create a new job
+ * @param {string} type - One of JOB_TYPES
+ * @param {Array} inputs - Items to process (friend form data or friends)
+ * @returns {Object} { id, type, createdAt, updatedAt, items: [{ input, status, result, error }] }
+ */
+export function createJob(type, inputs) {
+  const now = Date.now();
+  return {
+    id: `${type}-${now}`,
+    type,
+    createdAt: now,
+    updatedAt: now,
+    items: inputs.map((input) => ({
+      input,
+      status: 'pending', // 'pending' | 'done' | 'failed'
+      result: null,
+      error: null
+    }))
+  };
+}
+
+/**
+ * Count items by status
+ * @returns {Object} { total, done, failed, pending }
+ */
+export function getJobCounts(job) {
+  const counts = { total: job.items.length, done: 0, failed: 0, pending: 0 };
+  for (const item of job.items) {
+    counts[item.status]++;
+  }
+  return counts;
+}
+
+/**
+ * Whether a stored job still has work left
+ */
+export function hasPendingItems(job) {
+  return !!job?.items?.some((item) => item.status === 'pending');
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/**
+ * Process every pending item of a job in order
+ * Done and failed items are left alone, so a resumed job picks up where it
+ * stopped. A fresh job object is emitted after each item.
+ * @param {Object} job
+ * @param {Function} processItem - async (input, signal) => result
+ * @param {Object} options - { onUpdate(job), onProgress({processed, total, current}), signal }
+ * @returns {Promise<Object>} The job after the run (pending items remain if aborted)
+ */
+export async function runJob(job, processItem, { onUpdate = null, onProgress = null, signal = null } = {}) {
+  let current = job;
+  const counts = getJobCounts(job);
+  let processed = counts.done + counts.failed;
+
+  for (let index = 0; index < current.items.length; index++) {
+    const item = current.items[index];
+    if (item.status !== 'pending') continue;
+    if (signal?.aborted) break;
+
+    let update;
+    try {
+      const result = await processItem(item.input, signal);
+      update = { status: 'done', result, error: null };
+    } catch (e) {
+      if (isAbortError(e)) break;
+      console.error(`Job item failed (${item.input.name}):`, e.message);
+      update = { status: 'failed', result: null, error: e.message };
+    }
+
+    current = {
+      ...current,
+      updatedAt: Date.now(),
+      items: current.items.map((it, i) => (i === index ? { ...it, ...update } : it))
+    };
+    processed++;
+
+    if (onUpdate) onUpdate(current);
+    if (onProgress) onProgress({ processed, total: counts.total, current: item.input.name });
+  }
+
+  return current;
+}
@@ -1,22 +1,26 @@
 /**
  * LLM Service
  * 
- * TWO-STEP STRUCTURED ANALYSIS with Claude 3.5 Haiku:
- * 1. Extract structured data via 15 questions
- * 2. Calculate coordinates using scoring rules
+ * TWO-STEP STRUCTURED ANALYSIS with the configured LLM provider:
+ * 1. Extract structured data via 15 questions (plus icon and summary)
+ * 2. Calculate coordinates locally with the deterministic scoring engine
  */
 
 import { 
   EXTRACTION_PROMPT, 
-  CALCULATION_PROMPT, 
   BULK_EXTRACTION_PROMPT,
   BULK_CALCULATION_PROMPT,
   createContextPrompt
 } from '../constants';
-import { callLLM } from '../constants/models';
+import { callLLM, hasProviderCredentials } from '../constants/models';
 import { extractFirstJsonObject, extractFirstJsonArray } from '../utils/jsonParser';
+import { validateExtraction, formatIssuesForPrompt } from '../utils/extractionValidator';
+import { sleep, isAbortError } from '../utils/httpTransport';
 import { ICON_MAP, DEFAULT_ICON } from '../constants/icons';
 import { buildContextForAnalysis, validateCoordinates } from './relationshipContext';
+import { scoreAnswers } from './scoringEngine';
+import { formatInteractionsForPrompt } from './interactionJournal';
+import { createJob, runJob, getJobCounts, JOB_TYPES } from './jobQueue';
 import { 
   vectorStore, 
   getVectorContextForAnalysis, 
@@ -44,11 +48,16 @@ export function generateMockAnalysis() {
 // VALIDATION
 // ============================================================================
 
+function clampCoordinate(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 100) : 50;
+}
+
 function validateAnalysis(analysis) {
   return {
     ...analysis,
-    x: Math.min(Math.max(Number(analysis.x) || 50, 0), 100),
-    y: Math.min(Math.max(Number(analysis.y) || 50, 0), 100),
+    x: clampCoordinate(analysis.x),
+    y: clampCoordinate(analysis.y),
     icon: ICON_MAP[analysis.icon] ? analysis.icon : DEFAULT_ICON,
     summary: analysis.summary || 'Analyzed',
     reasoning: analysis.reasoning || 'Analysis complete'
@@ -59,10 +68,16 @@ function validateAnalysis(analysis) {
 // TWO-STEP ANALYSIS FUNCTIONS
 // ============================================================================
 
+// Re-prompts allowed when answers are missing or off-list
+const EXTRACTION_RETRY_LIMIT = 2;
+
 /**
  * Step 1: Extract structured relationship data
+ * Answers are validated against the option enums; the model is re-prompted
+ * with the validation errors up to EXTRACTION_RETRY_LIMIT times.
+ * @returns {Object} { extractedData, icon, summary, validationIssues }
  */
-async function extractRelationshipData(apiKey, userPersona, friendData, contextStr = '') {
+async function extractRelationshipData(apiKey, provider, userPersona, friendData, contextStr = '', signal = null) {
   const userContent = `${contextStr}
 ## User Context:
 ${userPersona ? JSON.stringify(userPersona, null, 2) : 'Not provided'}
@@ -74,36 +89,71 @@ ${userPersona ? JSON.stringify(userPersona, null, 2) : 'Not provided'}
 
 ## Relationship Description:
 ${friendData.description}
+${formatInteractionsForPrompt(friendData.interactions || [])}
+Answer the 15 questions based on this description, then pick an icon and summary.`;
+
+  let prompt = userContent;
+  let attempt = 0;
+
+  while (true) {
+    const response = await callLLM(apiKey, EXTRACTION_PROMPT, prompt, { provider, signal });
+
+    // Unparseable output is re-prompted like any other invalid answer
+    let parsed;
+    let validation;
+    try {
+      parsed = extractFirstJsonObject(response);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Response is not a JSON object');
+      }
+      validation = validateExtraction(parsed);
+    } catch (error) {
+      if (attempt >= EXTRACTION_RETRY_LIMIT) throw error;
+      parsed = null;
+      validation = {
+        valid: false,
+        issues: [{ key: null, type: 'unparseable', value: null, message: `Your reply could not be read as JSON (${error.message}). Reply with one JSON object only.` }]
+      };
+    }
+
+    if (validation.valid || attempt >= EXTRACTION_RETRY_LIMIT) {
+      if (!validation.valid) {
+        console.warn('Extraction still invalid after retries:', validation.issues);
+      }
+      return {
+        extractedData: validation.data,
+        icon: typeof parsed.icon === 'string' ? parsed.icon : DEFAULT_ICON,
+        summary: typeof parsed.summary === 'string' ? parsed.summary : '',
+        validationIssues: validation.issues
+      };
+    }
+
+    attempt++;
+    console.log(`Extraction invalid, re-prompting (${attempt}/${EXTRACTION_RETRY_LIMIT})...`);
+    prompt = `${userContent}
 
-Answer the 15 questions based on this description.`;
+## Your previous answer had these problems:
+${formatIssuesForPrompt(validation.issues)}
 
-  const response = await callLLM(apiKey, EXTRACTION_PROMPT, userContent);
-  return extractFirstJsonObject(response);
+Answer again using ONLY the listed options for every question.`;
+  }
 }
 
 /**
  * Step 2: Calculate coordinates from extracted data
+ * Deterministic - identical answers always give identical coordinates.
  */
-async function calculateCoordinates(apiKey, extractedData, friendName, contextStr = '') {
-  const userContent = `${contextStr}
-## Friend: ${friendName}
-
-## Extracted Relationship Data:
-${JSON.stringify(extractedData, null, 2)}
-
-Calculate X and Y coordinates using the scoring rules.`;
-
-  const response = await callLLM(apiKey, CALCULATION_PROMPT, userContent);
-  return extractFirstJsonObject(response);
+function calculateCoordinates(extractedData) {
+  return scoreAnswers(extractedData);
 }
 
 // ============================================================================
 // SINGLE FRIEND ANALYSIS
 // ============================================================================
 
-export async function analyzeFriend({ apiKey, userPersona, friendData, useMockMode, existingFriends = [] }) {
-  if (useMockMode || !apiKey) {
-    await new Promise(r => setTimeout(r, 1000));
+export async function analyzeFriend({ apiKey, provider, userPersona, friendData, useMockMode, existingFriends = [], signal = null }) {
+  if (useMockMode || !hasProviderCredentials(apiKey, provider)) {
+    await sleep(1000, signal);
     return validateAnalysis(generateMockAnalysis());
   }
 
@@ -113,7 +163,7 @@ export async function analyzeFriend({ apiKey, userPersona, friendData, useMockMo
   let context = '';
   try {
     if (vectorStore.getStats().totalVectors > 0) {
-      const vc = await getVectorContextForAnalysis(apiKey, friendData.description);
+      const vc = await getVectorContextForAnalysis(apiKey, friendData.description, [], signal);
       context = vc.context || '';
     }
     if (!context && existingFriends.length > 0) {
@@ -121,17 +171,18 @@ export async function analyzeFriend({ apiKey, userPersona, friendData, useMockMo
       context = kc.context || '';
     }
   } catch (e) {
+    if (isAbortError(e)) throw e;
     console.log('Context gathering skipped');
   }
 
   // Step 1: Extract structured data
   console.log('Step 1: Extracting relationship data...');
-  const extractedData = await extractRelationshipData(apiKey, userPersona, friendData, context);
+  const { extractedData, icon, summary, validationIssues } = await extractRelationshipData(apiKey, provider, userPersona, friendData, context, signal);
   console.log('Extracted:', extractedData);
 
-  // Step 2: Calculate coordinates
+  // Step 2: Calculate coordinates (local, no API call)
   console.log('Step 2: Calculating coordinates...');
-  const coordinates = await calculateCoordinates(apiKey, extractedData, friendData.name, context);
+  const coordinates = calculateCoordinates(extractedData);
   console.log('Calculated:', coordinates);
 
   // Validate
@@ -142,192 +193,155 @@ export async function analyzeFriend({ apiKey, userPersona, friendData, useMockMo
 
   const result = validateAnalysis({
     ...coordinates,
+    icon,
+    summary,
     extractedData,
+    validationIssues,
     category: validation.category
   });
 
   // Store embedding for future context (non-blocking)
-  enrichFriendWithEmbedding(apiKey, { ...friendData, ...result }).catch(() => {});
+  enrichFriendWithEmbedding(apiKey, { ...friendData, ...result }, signal).catch(() => {});
 
   return result;
 }
 
-// ============================================================================
-// BATCH CONFIGURATION
-// ============================================================================
-
-const BATCH_CONFIG = {
-  batchSize: 3,
-  delayBetweenItems: 2000,
-  delayBetweenBatches: 5000
-};
-
 // ============================================================================
 // BULK ANALYSIS
 // ============================================================================
 
+/**
+ * Sort a finished job's items into results, failures and untouched inputs
+ */
+function splitJobItems(job) {
+  const results = [];
+  const failed = [];
+  const skipped = [];
+  for (const { input, status, result, error } of job.items) {
+    if (status === 'done') results.push(result);
+    else if (status === 'failed') failed.push({ input, error });
+    else skipped.push(input);
+  }
+  return { results, failed, skipped };
+}
+
+/**
+ * Analyze a list of new friends through the job queue
+ * Pass `job` to resume a stored job; otherwise one is created from friendsList.
+ * Stops early when `signal` aborts; finished results are kept.
+ * @returns {Promise<Object>} { results, failed, skipped, job }
+ *   - failed: [{ input, error }] - not plotted, for the review queue
+ *   - skipped: input items never analyzed
+ */
 export async function analyzeFriendsBulk({ 
   apiKey, 
+  provider,
   userPersona, 
-  friendsList, 
+  friendsList = [], 
   useMockMode, 
   existingFriends = [],
-  onProgress = null
+  job = null,
+  onJobUpdate = null,
+  onProgress = null,
+  signal = null
 }) {
-  const validItems = friendsList.filter(item => item.name?.trim() && item.description?.trim());
-  
-  if (validItems.length === 0) {
-    throw new Error("No valid friends to analyze");
+  if (!job) {
+    const validItems = friendsList.filter(item => item.name?.trim() && item.description?.trim());
+    if (validItems.length === 0) {
+      throw new Error("No valid friends to analyze");
+    }
+    job = createJob(JOB_TYPES.BULK, validItems);
   }
 
-  if (useMockMode || !apiKey) {
-    await new Promise(r => setTimeout(r, 1500));
-    return validItems.map(item => ({
-      ...validateAnalysis(generateMockAnalysis()),
+  const mock = useMockMode || !hasProviderCredentials(apiKey, provider);
+
+  // Pacing and transient-error retries are handled by the shared
+  // rate limiter in utils/httpTransport, so items run back to back.
+  console.log(`Processing ${getJobCounts(job).pending} friends`);
+
+  const finished = await runJob(job, async (item, itemSignal) => {
+    const result = mock
+      ? await sleep(300, itemSignal).then(() => validateAnalysis(generateMockAnalysis()))
+      : await analyzeFriend({
+        apiKey,
+        provider,
+        userPersona,
+        friendData: item,
+        useMockMode: false,
+        existingFriends,
+        signal: itemSignal
+      });
+    return {
+      ...result,
+      id: item.id,
       name: item.name,
       gender: item.gender,
       age: item.age,
       description: item.description
-    }));
-  }
+    };
+  }, { onUpdate: onJobUpdate, onProgress, signal });
 
-  const total = validItems.length;
-  const results = [];
-  let processed = 0;
-
-  // Process in batches
-  const batches = [];
-  for (let i = 0; i < total; i += BATCH_CONFIG.batchSize) {
-    batches.push(validItems.slice(i, i + BATCH_CONFIG.batchSize));
-  }
-
-  console.log(`Processing ${total} friends in ${batches.length} batches`);
-
-  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-    const batch = batches[batchIndex];
-
-    for (const item of batch) {
-      try {
-        const result = await analyzeFriend({
-          apiKey,
-          userPersona,
-          friendData: item,
-          useMockMode: false,
-          existingFriends
-        });
-        results.push({
-          ...result,
-          name: item.name,
-          gender: item.gender,
-          age: item.age,
-          description: item.description
-        });
-      } catch (e) {
-        console.error(`Failed for ${item.name}:`, e.message);
-        results.push({
-          ...validateAnalysis({ x: 50, y: 50, icon: 'User', summary: 'Analysis failed', reasoning: e.message }),
-          name: item.name,
-          gender: item.gender,
-          age: item.age,
-          description: item.description
-        });
-      }
-
-      processed++;
-      if (onProgress) {
-        onProgress({ processed, total, current: item.name });
-      }
+  const { results, failed, skipped } = splitJobItems(finished);
 
-      if (processed < total) {
-        await new Promise(r => setTimeout(r, BATCH_CONFIG.delayBetweenItems));
-      }
-    }
-
-    if (batchIndex < batches.length - 1) {
-      await new Promise(r => setTimeout(r, BATCH_CONFIG.delayBetweenBatches));
-    }
+  if (skipped.length > 0) {
+    console.log(`Bulk analysis stopped: ${results.length}/${finished.items.length} done, ${skipped.length} skipped`);
   }
 
-  return results;
+  return { results, failed, skipped, job: finished };
 }
 
 // ============================================================================
 // RECALCULATE
 // ============================================================================
 
+/**
+ * Re-analyze existing friends through the job queue
+ * Pass `job` to resume a stored job; otherwise one is created from friendsToRecalculate.
+ * Stops early when `signal` aborts; finished results are kept.
+ * @returns {Promise<Object>} { results, failed, skipped, job }
+ *   - failed: [{ input, error }] - friend keeps its position, for the review queue
+ *   - skipped: friends never re-analyzed
+ */
 export async function recalculateFriends({ 
   apiKey, 
+  provider,
   userPersona, 
-  friendsToRecalculate, 
+  friendsToRecalculate = [], 
   useMockMode, 
   allFriends = [],
-  onProgress = null
+  job = null,
+  onJobUpdate = null,
+  onProgress = null,
+  signal = null
 }) {
-  if (friendsToRecalculate.length === 0) {
-    throw new Error("No friends selected");
-  }
-
-  if (useMockMode || !apiKey) {
-    await new Promise(r => setTimeout(r, 1000));
-    return friendsToRecalculate.map(friend => ({
-      id: friend.id,
-      ...validateAnalysis(generateMockAnalysis())
-    }));
-  }
-
-  const total = friendsToRecalculate.length;
-  const results = [];
-  let processed = 0;
-
-  // Split into batches
-  const batches = [];
-  for (let i = 0; i < total; i += BATCH_CONFIG.batchSize) {
-    batches.push(friendsToRecalculate.slice(i, i + BATCH_CONFIG.batchSize));
-  }
-
-  console.log(`Recalculating ${total} friends in ${batches.length} batches`);
-
-  for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-    const batch = batches[batchIndex];
-
-    for (const friend of batch) {
-      try {
-        const result = await analyzeFriend({
-          apiKey,
-          userPersona,
-          friendData: friend,
-          useMockMode: false,
-          existingFriends: allFriends
-        });
-        results.push({ id: friend.id, ...result });
-      } catch (e) {
-        console.error(`Recalculate failed for ${friend.name}:`, e.message);
-        results.push({
-          id: friend.id,
-          x: friend.x,
-          y: friend.y,
-          icon: friend.icon,
-          summary: 'Recalculation failed',
-          reasoning: e.message
-        });
-      }
-
-      processed++;
-      if (onProgress) {
-        onProgress({ processed, total, current: friend.name });
-      }
-
-      if (processed < total) {
-        await new Promise(r => setTimeout(r, BATCH_CONFIG.delayBetweenItems));
-      }
-    }
-
-    if (batchIndex < batches.length - 1) {
-      console.log('Waiting between batches...');
-      await new Promise(r => setTimeout(r, BATCH_CONFIG.delayBetweenBatches));
+  if (!job) {
+    if (friendsToRecalculate.length === 0) {
+      throw new Error("No friends selected");
     }
+    job = createJob(JOB_TYPES.RECALCULATE, friendsToRecalculate);
   }
 
-  console.log(`Recalculation complete: ${results.length}/${total}`);
-  return results;
+  const mock = useMockMode || !hasProviderCredentials(apiKey, provider);
+
+  console.log(`Recalculating ${getJobCounts(job).pending} friends`);
+
+  const finished = await runJob(job, async (friend, itemSignal) => {
+    const result = mock
+      ? await sleep(300, itemSignal).then(() => validateAnalysis(generateMockAnalysis()))
+      : await analyzeFriend({
+        apiKey,
+        provider,
+        userPersona,
+        friendData: friend,
+        useMockMode: false,
+        existingFriends: allFriends,
+        signal: itemSignal
+      });
+    return { id: friend.id, ...result };
+  }, { onUpdate: onJobUpdate, onProgress, signal });
+
+  const { results, failed, skipped } = splitJobItems(finished);
+
+  console.log(`Recalculation complete: ${results.length}/${finished.items.length}${failed.length ? `, ${failed.length} failed` : ''}${skipped.length ? ` (${skipped.length} skipped)` : ''}`);
+  return { results, failed, skipped, job: finished };
 }
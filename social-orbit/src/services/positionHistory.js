@@ -0,0 +1,140 @@
+/**
+ * Position History
+ *
+ * Every friend keeps a timestamped log of where it has been on the graph:
+ *   friend.history = [{ x, y, at, source }]
+ * The last entry matches the friend's current position. Used for orbit
+ * trails and to see how a relationship drifted over time.
+ */
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+export const POSITION_SOURCES = {
+  AI: 'ai',                       // Initial analysis (single or bulk)
+  RECALCULATION: 'recalculation', // Re-analysis of an existing friend
+  MANUAL: 'manual',               // Dragged or placed by hand
+  ANSWERS_EDITED: 'answers',      // Re-scored locally from corrected answers
+  DECAY: 'decay'                  // Drift from lack of contact
+};
+
+export const POSITION_SOURCE_LABELS = {
+  [POSITION_SOURCES.AI]: 'AI analysis',
+  [POSITION_SOURCES.RECALCULATION]: 'Recalculation',
+  [POSITION_SOURCES.MANUAL]: 'Manual',
+  [POSITION_SOURCES.ANSWERS_EDITED]: 'Answers corrected',
+  [POSITION_SOURCES.DECAY]: 'Contact decay'
+};
+
+// Oldest entries are dropped past this many points
+export const HISTORY_LIMIT = 200;
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Append the friend's current position to its history
+ * Skipped when the position hasn't changed since the last entry.
+ * @param {Object} friend - Friend with x/y already set to the new position
+ * @param {string} source - One of POSITION_SOURCES
+ * @param {number} at - Timestamp (ms)
+ * @returns {Object} Friend with updated history
+ */
+export function recordPosition(friend, source, at = Date.now()) {
+  const history = friend.history || [];
+  const last = history[history.length - 1];
+
+  if (last && Math.round(last.x) === Math.round(friend.x) && Math.round(last.y) === Math.round(friend.y)) {
+    return friend;
+  }
+
+  const entry = { x: friend.x, y: friend.y, at, source };
+  return {
+    ...friend,
+    createdAt: friend.createdAt ?? at, // Survives old entries being trimmed
+    history: [...history, entry].slice(-HISTORY_LIMIT)
+  };
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Past positions to draw as a trail, oldest first (current position excluded)
+ * @param {Object} friend
+ * @param {number} maxPoints - How many past points to include
+ */
+export function getTrail(friend, maxPoints = 12) {
+  const history = friend.history || [];
+  return history.slice(0, -1).slice(-maxPoints);
+}
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+/**
+ * When a friend first appeared on the graph (null if unknown)
+ */
+export function getAddedAt(friend) {
+  return friend.createdAt ?? friend.history?.[0]?.at ?? null;
+}
+
+/**
+ * Earliest and latest moments the timeline can show
+ * @param {Array} friends - Current friends
+ * @param {Array} removedFriends - Deleted friends ({ ...friend, removedAt })
+ * @returns {Object} { start, end } timestamps
+ */
+export function getTimelineRange(friends, removedFriends = [], now = Date.now()) {
+  let start = now;
+  for (const friend of [...friends, ...removedFriends]) {
+    const addedAt = getAddedAt(friend);
+    if (addedAt !== null && addedAt < start) start = addedAt;
+  }
+  return { start, end: now };
+}
+
+/**
+ * A friend as it was at `time`
+ * Position and history are rewound; friends without history are assumed to
+ * have been where they are now since they were added (or always).
+ * @returns {Object|null} null when the friend didn't exist yet
+ */
+export function getFriendAt(friend, time) {
+  const addedAt = getAddedAt(friend);
+  if (addedAt !== null && addedAt > time) return null;
+
+  const history = friend.history || [];
+  if (history.length === 0) return friend;
+
+  // Before the oldest kept entry (trimmed history), use the oldest known spot
+  const past = history.filter((entry) => entry.at <= time);
+  const current = past[past.length - 1] || history[0];
+  return { ...friend, x: current.x, y: current.y, history: past.length ? past : [current] };
+}
+
+/**
+ * The whole network as it was at `time`
+ * Friends added later are hidden; deleted friends are shown until removal
+ * and flagged with `removed: true`.
+ */
+export function getNetworkAt(friends, removedFriends, time) {
+  const network = [];
+
+  for (const friend of friends) {
+    const past = getFriendAt(friend, time);
+    if (past) network.push(past);
+  }
+
+  for (const friend of removedFriends) {
+    if (friend.removedAt <= time) continue;
+    const past = getFriendAt(friend, time);
+    if (past) network.push({ ...past, removed: true });
+  }
+
+  return network;
+}
@@ -0,0 +1,152 @@
+/**
+ * Reminder Engine
+ *
+ * Decides which friends are overdue for contact.
+ *
+ * - Cadence: the friend's own `reminderCadenceDays` (0 = never), or when null
+ *   twice their usual contact interval, capped by the cadence of the zone
+ *   they sit in (by closeness, X) when that zone has one
+ * - Usual interval: the q1_frequency answer, or the Communication (Y) score
+ *   when the friend was placed by hand or never answered
+ * - Last contact: newest journal entry, otherwise estimated from the
+ *   q4_last_interaction answer at the time of the last analysis
+ * - Friends answered as q1_frequency "never" and snoozed friends are skipped
+ */
+
+import {
+  REMINDER_ZONES,
+  DEFAULT_REMINDER_SETTINGS,
+  LAST_INTERACTION_ESTIMATE_DAYS,
+  FREQUENCY_CADENCE_FACTOR,
+  MIN_FREQUENCY_CADENCE_DAYS,
+  Y_INTERVAL_BANDS
+} from '../constants/reminders';
+import { FREQUENCY_INTERVAL_DAYS } from '../constants/decay';
+import { getLastInteractionTime } from './interactionJournal';
+import { POSITION_SOURCES } from './positionHistory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+/**
+ * Zone a friend currently sits in
+ */
+export function getReminderZone(friend) {
+  return REMINDER_ZONES.find((zone) => friend.x <= zone.maxCloseness) || REMINDER_ZONES[REMINDER_ZONES.length - 1];
+}
+
+/**
+ * Y before any contact decay (decay would otherwise stretch the interval
+ * of the very friends it flags)
+ */
+function getBaselineY(friend) {
+  const history = friend.history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].source !== POSITION_SOURCES.DECAY) return history[i].y;
+  }
+  return friend.y;
+}
+
+/**
+ * Usual days between contacts, or null when none is expected
+ * A hand-placed position outranks the analysis answer.
+ */
+export function getUsualIntervalDays(friend) {
+  const answer = friend.extractedData?.q1_frequency;
+  if (!friend.positionLocked && answer in FREQUENCY_INTERVAL_DAYS) {
+    return FREQUENCY_INTERVAL_DAYS[answer];
+  }
+  const y = getBaselineY(friend);
+  return (Y_INTERVAL_BANDS.find((band) => y <= band.maxY) || Y_INTERVAL_BANDS[Y_INTERVAL_BANDS.length - 1]).days;
+}
+
+/**
+ * Days between contacts for this friend, or null for no reminders
+ */
+export function getCadenceDays(friend, settings = DEFAULT_REMINDER_SETTINGS) {
+  if (friend.reminderCadenceDays !== undefined && friend.reminderCadenceDays !== null) {
+    return friend.reminderCadenceDays > 0 ? friend.reminderCadenceDays : null;
+  }
+  const usualInterval = getUsualIntervalDays(friend);
+  if (!usualInterval) return null;
+
+  const frequencyCadence = Math.max(MIN_FREQUENCY_CADENCE_DAYS, usualInterval * FREQUENCY_CADENCE_FACTOR);
+  const zoneCadence = settings.zoneCadenceDays[getReminderZone(friend).id] ?? null;
+  return zoneCadence ? Math.min(zoneCadence, frequencyCadence) : frequencyCadence;
+}
+
+/**
+ * When the analysis answers were last produced (for q4 estimates)
+ */
+function getAnalyzedAt(friend) {
+  const history = friend.history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const { source, at } = history[i];
+    if (source === POSITION_SOURCES.AI || source === POSITION_SOURCES.RECALCULATION) return at;
+  }
+  return friend.createdAt ?? null;
+}
+
+/**
+ * Best guess at the last contact time
+ * @returns {Object|null} { time, estimated }
+ */
+export function getLastContact(friend) {
+  const logged = getLastInteractionTime(friend);
+  if (logged !== null) return { time: logged, estimated: false };
+
+  const answer = friend.extractedData?.q4_last_interaction;
+  const analyzedAt = getAnalyzedAt(friend);
+  if (answer in LAST_INTERACTION_ESTIMATE_DAYS && analyzedAt !== null) {
+    return { time: analyzedAt - LAST_INTERACTION_ESTIMATE_DAYS[answer] * DAY_MS, estimated: true };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Reminder for one friend, or null when not due
+ * @returns {Object|null} { friendId, name, zone, cadenceDays, daysSince, daysOverdue, estimated }
+ */
+export function getReminder(friend, settings = DEFAULT_REMINDER_SETTINGS, now = Date.now()) {
+  if (!settings.enabled) return null;
+  if (friend.reminderSnoozedUntil && friend.reminderSnoozedUntil > now) return null;
+  if (friend.extractedData?.q1_frequency === 'never') return null;
+
+  const cadenceDays = getCadenceDays(friend, settings);
+  if (!cadenceDays) return null;
+
+  const lastContact = getLastContact(friend);
+  if (!lastContact) return null;
+
+  const daysSince = Math.floor((now - lastContact.time) / DAY_MS);
+  const daysOverdue = daysSince - cadenceDays;
+  if (daysOverdue < 0) return null;
+
+  return {
+    friendId: friend.id,
+    name: friend.name,
+    zone: getReminderZone(friend).id,
+    cadenceDays,
+    daysSince,
+    daysOverdue,
+    estimated: lastContact.estimated
+  };
+}
+
+/**
+ * All overdue friends, most overdue first
+ */
+export function getOverdueReminders(friends, settings = DEFAULT_REMINDER_SETTINGS, now = Date.now()) {
+  return friends
+    .map((friend) => getReminder(friend, settings, now))
+    .filter(Boolean)
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+}
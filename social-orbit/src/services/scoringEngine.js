@@ -0,0 +1,137 @@
+/**
+ * Scoring Engine
+ *
+ * Deterministic replacement for the LLM calculation step.
+ * Applies the adjustment tables from constants/scoring.js to the
+ * extracted answers, so identical answers always give identical coordinates.
+ *
+ * Every axis result carries a full breakdown (baseline, each factor's
+ * adjustment with running total, clamps and caps) for explainability.
+ */
+
+import {
+  SCORE_BASELINE,
+  SCORE_RANGE,
+  X_SCORING_RULES,
+  Y_SCORING_RULES,
+  SCORE_CAPS
+} from '../constants/scoring';
+
+// ============================================================================
+// AXIS SCORING
+// ============================================================================
+
+/**
+ * Score a single axis
+ * @param {'x'|'y'} axis - Axis being scored
+ * @param {Array} rules - Adjustment rules for the axis
+ * @param {Object} extractedData - The q* answers
+ * @returns {Object} { value, baseline, steps, rawTotal, limits }
+ */
+function scoreAxis(axis, rules, extractedData) {
+  let total = SCORE_BASELINE;
+  const steps = [];
+
+  for (const rule of rules) {
+    const answer = extractedData?.[rule.question];
+    const adjustment = rule.adjustments[answer] ?? 0;
+    total += adjustment;
+    steps.push({
+      factor: rule.factor,
+      question: rule.question,
+      answer: answer ?? null,
+      adjustment,
+      runningTotal: total
+    });
+  }
+
+  const rawTotal = total;
+  const limits = [];
+
+  // Clamp to the valid range
+  const clamped = Math.min(Math.max(total, SCORE_RANGE.min), SCORE_RANGE.max);
+  if (clamped !== total) {
+    limits.push({ type: 'clamp', label: `Clamped to ${SCORE_RANGE.min}-${SCORE_RANGE.max}`, from: total, to: clamped });
+    total = clamped;
+  }
+
+  // Apply category caps
+  for (const cap of SCORE_CAPS) {
+    if (cap.axis !== axis || extractedData?.[cap.question] !== cap.answer) continue;
+    if (total > cap.max) {
+      limits.push({ type: 'cap', label: `${cap.label}: max ${cap.max}`, from: total, to: cap.max });
+      total = cap.max;
+    }
+  }
+
+  return { value: total, baseline: SCORE_BASELINE, steps, rawTotal, limits };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Calculate coordinates from extracted relationship data
+ * @param {Object} extractedData - The 15 q* answers
+ * @returns {Object} { x, y, breakdown: { x, y } }
+ */
+export function calculateScore(extractedData) {
+  const x = scoreAxis('x', X_SCORING_RULES, extractedData);
+  const y = scoreAxis('y', Y_SCORING_RULES, extractedData);
+
+  return {
+    x: x.value,
+    y: y.value,
+    breakdown: { x, y }
+  };
+}
+
+/**
+ * Score answers into the fields stored on a friend record
+ * Used after extraction and when the user corrects individual answers.
+ * @param {Object} extractedData - The 15 q* answers
+ * @returns {Object} { x, y, reasoning }
+ */
+export function scoreAnswers(extractedData) {
+  const score = calculateScore(extractedData);
+  return {
+    x: score.x,
+    y: score.y,
+    reasoning: describeScore(score.breakdown)
+  };
+}
+
+/**
+ * Build a one-sentence explanation from a score breakdown
+ * Names the strongest contributors on each axis.
+ */
+export function describeScore(breakdown) {
+  const topFactors = (axis) => axis.steps
+    .filter((s) => s.adjustment !== 0)
+    .sort((a, b) => Math.abs(b.adjustment) - Math.abs(a.adjustment))
+    .slice(0, 2)
+    .map((s) => `${s.factor.toLowerCase()} "${formatAnswer(s.answer)}" (${formatAdjustment(s.adjustment)})`);
+
+  const xFactors = topFactors(breakdown.x);
+  const yFactors = topFactors(breakdown.y);
+
+  const xPart = xFactors.length > 0 ? `Bond shaped by ${xFactors.join(' and ')}` : 'Neutral emotional bond';
+  const yPart = yFactors.length > 0 ? `contact by ${yFactors.join(' and ')}` : 'neutral contact pattern';
+
+  return `${xPart}; ${yPart}.`;
+}
+
+/**
+ * Format an option key for display (e.g. "few_times_week" -> "few times week")
+ */
+export function formatAnswer(answer) {
+  return answer ? String(answer).replace(/_/g, ' ') : 'unknown';
+}
+
+/**
+ * Format a signed adjustment (e.g. -15, +10, 0)
+ */
+export function formatAdjustment(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
@@ -0,0 +1,87 @@
+/**
+ * Trash
+ *
+ * Deleted friends move to the `removedFriends` vault list with their full
+ * record and history plus `removedAt`. From there they can be restored,
+ * purged by hand, or purged automatically once the retention period ends.
+ * Purging drops everything personal (name, answers, notes, position
+ * history) and leaves an anonymous tombstone: ID, last position, when it was
+ * added, removed and purged. The timeline still shows an unnamed node there
+ * until the removal, so the replayed network keeps its shape.
+ */
+
+import { DEFAULT_TRASH_SETTINGS, PURGED_FRIEND_NAME } from '../constants/trash';
+import { getAddedAt } from './positionHistory';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether an entry is a purged friend's tombstone rather than a trashed friend
+ */
+export function isPurged(item) {
+  return !!item.purgedAt;
+}
+
+/**
+ * Entries still in the trash (restorable)
+ */
+export function getTrashItems(removedFriends) {
+  return removedFriends.filter((item) => !isPurged(item));
+}
+
+/**
+ * What a purged friend leaves behind for the timeline
+ * Also strips a stored tombstone back down to these fields.
+ */
+export function toTombstone(item, now = Date.now()) {
+  return {
+    id: item.id,
+    name: PURGED_FRIEND_NAME,
+    x: item.x,
+    y: item.y,
+    createdAt: getAddedAt(item),
+    removedAt: item.removedAt,
+    purgedAt: item.purgedAt ?? now
+  };
+}
+
+/**
+ * When a trashed friend will be purged (null = never)
+ */
+export function getPurgeAt(item, settings = DEFAULT_TRASH_SETTINGS) {
+  if (!settings.retentionDays) return null;
+  return item.removedAt + settings.retentionDays * DAY_MS;
+}
+
+/**
+ * Whole days left before auto-purge (null = never)
+ */
+export function getDaysUntilPurge(item, settings = DEFAULT_TRASH_SETTINGS, now = Date.now()) {
+  const purgeAt = getPurgeAt(item, settings);
+  if (purgeAt === null) return null;
+  return Math.max(Math.ceil((purgeAt - now) / DAY_MS), 0);
+}
+
+/**
+ * Split the trash into items to keep and items past retention
+ * @returns {Object} { kept, expired }
+ */
+export function partitionExpired(removedFriends, settings = DEFAULT_TRASH_SETTINGS, now = Date.now()) {
+  const kept = [];
+  const expired = [];
+  for (const item of removedFriends) {
+    const purgeAt = getPurgeAt(item, settings);
+    if (!isPurged(item) && purgeAt !== null && purgeAt <= now) expired.push(item);
+    else kept.push(item);
+  }
+  return { kept, expired };
+}
+
+/**
+ * Friend record to put back on the graph
+ */
+export function restoreFromTrash(item) {
+  const friend = { ...item };
+  delete friend.removedAt;
+  return friend;
+}
@@ -0,0 +1,69 @@
+/**
+ * Undo History Persistence
+ *
+ * The friends undo stack is saved to the encrypted vault so it survives a
+ * page reload, but only within the same browser session: a session ID kept
+ * in sessionStorage must match the saved one. Embeddings are left out of
+ * saved snapshots (they're large and rarely change) and restored from the
+ * live friends by ID.
+ */
+
+import { createId } from '../utils/ids';
+
+export const UNDO_LIMIT = 50;
+
+// Edits sharing a merge key closer together than this are one step
+export const UNDO_MERGE_WINDOW_MS = 1000;
+
+const SESSION_KEY = 'socialOrbit_undoSession';
+
+/**
+ * ID of the current browser session (created on first use)
+ */
+export function getUndoSessionId() {
+  let id = sessionStorage.getItem(SESSION_KEY);
+  if (!id) {
+    id = createId();
+    sessionStorage.setItem(SESSION_KEY, id);
+  }
+  return id;
+}
+
+const stripEmbeddings = (friends) => friends.map((friend) => ({ ...friend, embedding: undefined }));
+
+const stripEntry = (entry) => ({ ...entry, value: stripEmbeddings(entry.value) });
+
+/**
+ * Snapshot of the stack for the vault
+ * @param {Object} history - { past, future } from useUndoableState
+ */
+export function serializeUndoHistory({ past, future }) {
+  return {
+    sessionId: getUndoSessionId(),
+    past: past.map(stripEntry),
+    future: future.map(stripEntry)
+  };
+}
+
+/**
+ * Stack saved earlier in this session, or null
+ * @param {Object|null} saved - From serializeUndoHistory
+ * @param {Array} friends - Loaded friends (source of embeddings)
+ * @returns {Object|null} { past, future }
+ */
+export function restoreUndoHistory(saved, friends) {
+  if (!saved || saved.sessionId !== getUndoSessionId()) return null;
+
+  const embeddings = new Map(friends.filter((f) => f.embedding).map((f) => [f.id, f.embedding]));
+  const restoreEntry = (entry) => ({
+    ...entry,
+    value: entry.value.map((friend) =>
+      embeddings.has(friend.id) ? { ...friend, embedding: embeddings.get(friend.id) } : friend
+    )
+  });
+
+  return {
+    past: (saved.past || []).map(restoreEntry),
+    future: (saved.future || []).map(restoreEntry)
+  };
+}
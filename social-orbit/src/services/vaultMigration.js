@@ -0,0 +1,67 @@
+/**
+ * Vault Migration
+ *
+ * Runs on every unlock, before loaded data reaches app state:
+ *   1. Legacy timestamp IDs → UUIDs (see idMigration)
+ *   2. Each friend through the schema migration chain (see friendSchema);
+ *      purged-friend tombstones in the trash aren't friend records and are
+ *      only trimmed to their fields (see trash)
+ *
+ * Records that can't be repaired are taken out of the network and reported,
+ * so one bad record never breaks the whole vault. They are kept aside
+ * (`rejectedFriends` vault key) rather than deleted.
+ */
+
+import { migrateLegacyIds } from './idMigration';
+import { migrateFriend } from './friendSchema';
+import { isPurged, toTombstone } from './trash';
+
+/**
+ * Migrate a list of stored friends
+ * @param {Array} records
+ * @param {Array} extraFields - Fields outside the schema to carry over (e.g. removedAt)
+ * @returns {Object} { friends, rejected: [{ record, reason }] }
+ */
+function migrateFriendList(records, extraFields = []) {
+  const friends = [];
+  const rejected = [];
+
+  for (const record of records) {
+    const { friend, error } = migrateFriend(record);
+    if (error) {
+      rejected.push({ record, reason: error });
+      continue;
+    }
+    for (const field of extraFields) {
+      if (record[field] !== undefined) friend[field] = record[field];
+    }
+    friends.push(friend);
+  }
+
+  return { friends, rejected };
+}
+
+/**
+ * Bring loaded vault data up to date
+ * @param {Object} loaded - As passed to onDataLoaded
+ * @returns {Object} { data, idsChanged, rejected: [{ record, reason }] }
+ */
+export function migrateVault(loaded) {
+  const { data, changed: idsChanged } = migrateLegacyIds(loaded);
+
+  const current = migrateFriendList(Array.isArray(data.friends) ? data.friends : []);
+  const trash = Array.isArray(data.removedFriends) ? data.removedFriends : [];
+  const removed = migrateFriendList(trash.filter((item) => !isPurged(item)), ['removedAt']);
+  const tombstones = trash.filter(isPurged).map((item) => toTombstone(item));
+  const rejected = [...current.rejected, ...removed.rejected];
+
+  if (rejected.length > 0) {
+    console.warn(`Vault migration set aside ${rejected.length} friend record(s)`, rejected);
+  }
+
+  return {
+    data: { ...data, friends: current.friends, removedFriends: [...removed.friends, ...tombstones] },
+    idsChanged,
+    rejected
+  };
+}
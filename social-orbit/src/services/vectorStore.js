@@ -10,6 +10,8 @@
  * The HuggingFace free tier has rate limits but is completely free.
  */
 
+import { isAbortError } from '../utils/httpTransport';
+
 // ============================================================================
 // EMBEDDING CONFIG - DISABLED (HuggingFace has CORS issues from browsers)
 // ============================================================================
@@ -51,8 +53,9 @@ export function cosineSimilarity(vecA, vecB) {
 
 /**
  * Generate embedding using HuggingFace Inference API (FREE)
+ * Aborting `signal` cancels the request and rethrows the AbortError.
  */
-export async function generateEmbedding(apiKey, text) {
+export async function generateEmbedding(apiKey, text, signal = null) {
   // Skip if disabled or no text
   if (!EMBEDDING_CONFIG.enabled || !text) return null;
   
@@ -72,7 +75,8 @@ export async function generateEmbedding(apiKey, text) {
       body: JSON.stringify({
         inputs: text.substring(0, 512), // Model max length
         options: { wait_for_model: true }
-      })
+      }),
+      signal
     });
     
     if (response.status === 503) {
@@ -107,6 +111,7 @@ export async function generateEmbedding(apiKey, text) {
     return null;
     
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.warn('Embedding error (using keyword fallback):', error.message);
     return null;
   }
@@ -211,8 +216,8 @@ class VectorStore {
   /**
    * Find similar relationships by text (generates embedding first)
    */
-  async findSimilarByText(apiKey, text, topK = 5, excludeIds = []) {
-    const embedding = await generateEmbedding(apiKey, text);
+  async findSimilarByText(apiKey, text, topK = 5, excludeIds = [], signal = null) {
+    const embedding = await generateEmbedding(apiKey, text, signal);
     if (!embedding) return [];
     
     return this.findSimilar(embedding, topK, excludeIds);
@@ -309,11 +314,11 @@ ${examples.join('\n\n')}
 /**
  * Enrich friend with embedding (async, non-blocking)
  */
-export async function enrichFriendWithEmbedding(apiKey, friend) {
+export async function enrichFriendWithEmbedding(apiKey, friend, signal = null) {
   if (!EMBEDDING_CONFIG.enabled) return friend;
   
   const text = createFriendEmbeddingText(friend);
-  const embedding = await generateEmbedding(apiKey, text);
+  const embedding = await generateEmbedding(apiKey, text, signal);
   
   if (embedding) {
     await vectorStore.upsert(friend.id, embedding, {
@@ -333,12 +338,12 @@ export async function enrichFriendWithEmbedding(apiKey, friend) {
 /**
  * Get vector context for analysis (falls back gracefully)
  */
-export async function getVectorContextForAnalysis(apiKey, friendDescription, excludeIds = []) {
+export async function getVectorContextForAnalysis(apiKey, friendDescription, excludeIds = [], signal = null) {
   if (!EMBEDDING_CONFIG.enabled || vectorStore.getStats().totalVectors === 0) {
     return { context: '', similarCount: 0, similar: [] };
   }
   
-  const similar = await vectorStore.findSimilarByText(apiKey, friendDescription, 3, excludeIds);
+  const similar = await vectorStore.findSimilarByText(apiKey, friendDescription, 3, excludeIds, signal);
   return {
     context: buildVectorContext(similar),
     similarCount: similar.length,
@@ -0,0 +1,151 @@
+/**
+ * Extraction Validation
+ * Checks the AI's answers against the allowed option enums
+ *
+ * The schema is EXTRACTION_QUESTIONS: every q* key is required and must be
+ * one of its listed options. Off-list values are mapped to the closest
+ * option when the match is convincing, otherwise they are flagged.
+ */
+
+import { EXTRACTION_QUESTIONS } from '../constants/prompts';
+
+// Minimum similarity (0-1) for an off-list value to be mapped to an option
+const MAPPING_THRESHOLD = 0.6;
+
+/**
+ * Normalize a raw answer to option-key form ("Few times a week" -> "few_times_a_week")
+ */
+function normalizeValue(value) {
+  return String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\-/]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = a[i - 1] === b[j - 1]
+        ? prev
+        : 1 + Math.min(prev, row[j], row[j - 1]);
+      prev = temp;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Similarity between a normalized value and an option key (0-1)
+ * Best of character similarity and word overlap.
+ */
+function similarity(value, option) {
+  const maxLen = Math.max(value.length, option.length) || 1;
+  const charScore = 1 - editDistance(value, option) / maxLen;
+
+  const valueWords = new Set(value.split('_').filter(Boolean));
+  const optionWords = new Set(option.split('_').filter(Boolean));
+  let shared = 0;
+  for (const word of valueWords) {
+    if (optionWords.has(word)) shared++;
+  }
+  const union = new Set([...valueWords, ...optionWords]).size || 1;
+  const wordScore = shared / union;
+
+  return Math.max(charScore, wordScore);
+}
+
+/**
+ * Find the closest allowed option for an off-list value
+ * @returns {{option: string, score: number}|null}
+ */
+function findNearestOption(value, options) {
+  let best = null;
+  for (const option of options) {
+    const score = similarity(value, option);
+    if (!best || score > best.score) {
+      best = { option, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Validate extracted answers against the schema
+ * @param {Object} raw - Parsed AI JSON (may contain extra keys like icon/summary)
+ * @returns {Object} { data, issues, valid }
+ *   - data: the 15 answers, with mapped values substituted
+ *   - issues: [{ key, type: 'missing'|'invalid'|'mapped', value, mappedTo?, message }]
+ *   - valid: true when no answer is missing or invalid (mapped ones are fine)
+ */
+export function validateExtraction(raw) {
+  const data = {};
+  const issues = [];
+
+  for (const q of EXTRACTION_QUESTIONS) {
+    const value = raw?.[q.key];
+
+    if (value === undefined || value === null || value === '') {
+      data[q.key] = null;
+      issues.push({ key: q.key, type: 'missing', value: null, message: `${q.key} is missing (options: ${q.options.join(', ')})` });
+      continue;
+    }
+
+    if (q.options.includes(value)) {
+      data[q.key] = value;
+      continue;
+    }
+
+    const normalized = normalizeValue(value);
+    if (q.options.includes(normalized)) {
+      data[q.key] = normalized;
+      continue;
+    }
+
+    const nearest = findNearestOption(normalized, q.options);
+    if (nearest && nearest.score >= MAPPING_THRESHOLD) {
+      data[q.key] = nearest.option;
+      issues.push({
+        key: q.key,
+        type: 'mapped',
+        value,
+        mappedTo: nearest.option,
+        message: `${q.key}: "${value}" mapped to "${nearest.option}"`
+      });
+      continue;
+    }
+
+    data[q.key] = value;
+    issues.push({
+      key: q.key,
+      type: 'invalid',
+      value,
+      message: `${q.key}: "${value}" is not an allowed option (${q.options.join(', ')})`
+    });
+  }
+
+  return {
+    data,
+    issues,
+    valid: !issues.some((issue) => issue.type !== 'mapped')
+  };
+}
+
+/**
+ * Format blocking issues as feedback for a re-prompt
+ */
+export function formatIssuesForPrompt(issues) {
+  return issues
+    .filter((issue) => issue.type !== 'mapped')
+    .map((issue) => `- ${issue.message}`)
+    .join('\n');
+}
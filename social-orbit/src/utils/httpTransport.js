@@ -0,0 +1,200 @@
+/**
+ * HTTP Transport
+ * Resilient fetch for LLM calls
+ *
+ * - Retries 429, 5xx and network errors
+ * - Honors Retry-After (seconds or HTTP date)
+ * - Exponential backoff with full jitter otherwise
+ * - Shared token-bucket limiter so concurrent callers don't burst the API
+ * - Cancellable at any point through an AbortSignal
+ */
+
+export const TRANSPORT_CONFIG = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 60000,
+  retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+
+  // Token bucket: burst of `capacity` requests, then `refillPerSecond`
+  rateLimit: {
+    capacity: 3,
+    refillPerSecond: 0.5
+  }
+};
+
+// ============ HELPERS ============
+
+function createAbortError() {
+  return new DOMException('The operation was aborted', 'AbortError');
+}
+
+/**
+ * Whether an error came from an aborted signal
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw createAbortError();
+}
+
+/**
+ * setTimeout as a promise, rejected early if the signal aborts
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(
+    TRANSPORT_CONFIG.maxDelayMs,
+    TRANSPORT_CONFIG.baseDelayMs * 2 ** attempt
+  );
+  return Math.random() * ceiling;
+}
+
+// ============ TOKEN BUCKET ============
+
+class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve(); // Serializes waiters (FIFO)
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a token is available, then consume it
+   */
+  take(signal) {
+    const turn = this.queue.then(async () => {
+      throwIfAborted(signal);
+      this.refill();
+      if (this.tokens < 1) {
+        const waitMs = ((1 - this.tokens) / this.refillPerSecond) * 1000;
+        await sleep(waitMs, signal);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Drain the bucket (e.g. after a 429) so everyone slows down
+   */
+  drain() {
+    this.refill();
+    this.tokens = Math.min(this.tokens, 0);
+  }
+}
+
+// Shared by every LLM caller in the app
+export const llmRateLimiter = new TokenBucket(
+  TRANSPORT_CONFIG.rateLimit.capacity,
+  TRANSPORT_CONFIG.rateLimit.refillPerSecond
+);
+
+// ============ FETCH WITH RETRY ============
+
+/**
+ * fetch() with rate limiting and retries
+ * Non-retryable responses are returned as-is; after the last retry the
+ * final response is returned (or the network error re-thrown).
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {Object} options - { maxRetries, limiter, onRetry, signal }
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init, options = {}) {
+  const maxRetries = options.maxRetries ?? TRANSPORT_CONFIG.maxRetries;
+  const limiter = options.limiter ?? llmRateLimiter;
+  const { signal } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.take(signal);
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal });
+    } catch (error) {
+      if (isAbortError(error) || attempt >= maxRetries) throw error;
+
+      const delay = backoffDelay(attempt);
+      console.warn(`Network error (${error.message}), retrying in ${Math.round(delay)}ms...`);
+      options.onRetry?.({ attempt: attempt + 1, delay, reason: error.message });
+      await sleep(delay, signal);
+      continue;
+    }
+
+    if (response.ok || !TRANSPORT_CONFIG.retryStatuses.includes(response.status) || attempt >= maxRetries) {
+      return response;
+    }
+
+    if (response.status === 429) {
+      limiter.drain();
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    const delay = retryAfter !== null
+      ? Math.min(retryAfter, TRANSPORT_CONFIG.maxRetryAfterMs)
+      : backoffDelay(attempt);
+
+    console.warn(`HTTP ${response.status}, retrying in ${Math.round(delay)}ms...`);
+    options.onRetry?.({ attempt: attempt + 1, delay, reason: `HTTP ${response.status}` });
+    await sleep(delay, signal);
+  }
+}
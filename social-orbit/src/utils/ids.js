@@ -0,0 +1,23 @@
+/**
+ * ID Utilities
+ * Collision-free identifiers for friends and other vault records
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * New random identifier (UUID v4)
+ * @returns {string}
+ */
+export function createId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Whether an ID was produced by createId (older records used timestamps)
+ * @param {*} id
+ * @returns {boolean}
+ */
+export function isStableId(id) {
+  return typeof id === 'string' && UUID_PATTERN.test(id);
+}
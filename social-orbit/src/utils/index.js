@@ -4,4 +4,14 @@
 
 export { default as secureStorage, migrateFromLocalStorage, clearOldLocalStorage } from './secureStorage';
 export { extractFirstJsonObject, extractFirstJsonArray } from './jsonParser';
-
+export { validateExtraction, formatIssuesForPrompt } from './extractionValidator';
+export {
+  fetchWithRetry,
+  llmRateLimiter,
+  parseRetryAfter,
+  sleep,
+  isAbortError,
+  throwIfAborted,
+  TRANSPORT_CONFIG
+} from './httpTransport';
+export { createId, isStableId } from './ids';